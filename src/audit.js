@@ -0,0 +1,129 @@
+import { AttachmentBuilder, EmbedBuilder } from 'discord.js';
+import { getAuditEvents, getRecommendation, recordAuditEvent } from './db.js';
+import { getGuildConfig } from './settings.js';
+
+export const AUDIT = Object.freeze({
+  REC_SUBMIT: 'recommendation.submit',
+  REC_CANCEL: 'recommendation.cancel',
+  REC_COSPONSOR: 'recommendation.cosponsor',
+  REC_DUPLICATE_BLOCKED: 'recommendation.duplicate_blocked',
+  REC_EDIT: 'recommendation.edit',
+  REC_WITHDRAW: 'recommendation.withdraw',
+  REC_ESCALATE: 'recommendation.escalate',
+  REC_EXPIRE: 'recommendation.expire',
+  REC_ACCEPT: 'recommendation.accept', // track without a poll
+  BG_PASS: 'bg.pass',
+  BG_FAIL: 'bg.fail',
+  BG_CANCEL: 'bg.cancel',
+  BG_CONFLICT: 'bg.conflict', // lost the first-wins race
+  BG_REOPEN: 'bg.reopen',
+  OBS_SUBMIT: 'obs.submit',
+  OBS_CONFLICT: 'obs.conflict',
+  OBS_VOID: 'obs.void',
+  POLL_OPEN: 'poll.open',
+  POLL_VOTE: 'poll.vote',
+  POLL_CLOSE: 'poll.close',
+  BGCONFIG_UPDATE: 'config.bg_criteria',
+  SETUP_UPDATE: 'config.guild_settings',
+  FORM_UPDATE: 'config.form_template',
+  DATA_BACKUP: 'data.backup',
+  DATA_EXPORT: 'data.export',
+  DATA_IMPORT: 'data.import',
+  DATA_RESYNC: 'data.resync',
+});
+
+export const SYSTEM_ACTOR = 'system';
+
+/* =========================
+   RECORD
+   ========================= */
+const COLOR_BY_FAMILY = { recommendation: 0x5865f2, bg: 0xf1c40f, obs: 0x43b581, poll: 0x9b59b6, config: 0x95a5a6, data: 0x34495e };
+
+function formatState(state) {
+  if (state === undefined || state === null) return '—';
+  if (typeof state !== 'object') return `\`${state}\``;
+  return Object.entries(state)
+    .map(([k, v]) => `${k}: \`${typeof v === 'object' ? JSON.stringify(v) : v}\``)
+    .join(', ');
+}
+
+async function postAuditEmbed(client, id, event) {
+  // no guild (a system event) goes to the env department's channel
+  const channelId = getGuildConfig(event.guildId).auditChannelId;
+  if (!channelId) return;
+  const ch = await client.channels.fetch(channelId).catch(() => null);
+  if (!ch) return;
+
+  const actor = !event.actorId || event.actorId === SYSTEM_ACTOR ? 'system' : `<@${event.actorId}>`;
+  const lines = [`${actor}${event.recommendationId ? ` • \`${event.recommendationId}\`` : ''}`];
+  if (event.before !== undefined || event.after !== undefined) {
+    lines.push(`${formatState(event.before)} → ${formatState(event.after)}`);
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(event.action)
+    .setDescription(lines.join('\n').slice(0, 4096))
+    .setColor(COLOR_BY_FAMILY[event.action.split('.')[0]] ?? 0x95a5a6)
+    .setFooter({ text: `#${id}` })
+    .setTimestamp();
+  await ch.send({ embeds: [embed], allowedMentions: { parse: [] } });
+}
+
+/**
+ * Write one audit event and mirror it to its department's audit log channel (if
+ * set). Events without a recommendation pass `guildId`. The channel post is
+ * fire-and-forget so handlers never wait on it.
+ */
+export function audit(client, event) {
+  // the department of the recommendation, else of the guild it happened in
+  const guildId = (event.recommendationId && getRecommendation(event.recommendationId)?.guildId) || event.guildId;
+  const scoped = { ...event, guildId: guildId ?? null };
+  const id = recordAuditEvent(scoped);
+  postAuditEmbed(client, id, scoped).catch((e) => console.error('Audit log post failed:', e));
+  return id;
+}
+
+/* =========================
+   EXPORT
+   ========================= */
+const DAY_MS = 24 * 60 * 60_000;
+
+/** Parse 'YYYY-MM-DD' as a UTC day start; returns null if malformed. */
+export function parseDay(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return null;
+  const ms = Date.parse(`${value}T00:00:00Z`);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Build an export attachment of one department's events for [fromDay, toDay] (both inclusive, UTC days). */
+export function buildAuditExport({ guildId, from, to, format = 'csv' }) {
+  const rows = getAuditEvents(guildId, from, to + DAY_MS).map((r) => ({
+    id: r.id,
+    at: new Date(r.at).toISOString(),
+    actorId: r.actorId,
+    action: r.action,
+    recommendationId: r.recommendationId,
+    before: r.before_json ? JSON.parse(r.before_json) : null,
+    after: r.after_json ? JSON.parse(r.after_json) : null,
+  }));
+
+  const stamp = `${new Date(from).toISOString().slice(0, 10)}_${new Date(to).toISOString().slice(0, 10)}`;
+  if (format === 'json') {
+    const buf = Buffer.from(JSON.stringify(rows, null, 2));
+    return { count: rows.length, file: new AttachmentBuilder(buf, { name: `audit_${stamp}.json` }) };
+  }
+
+  const header = ['id', 'at', 'actorId', 'action', 'recommendationId', 'before', 'after'];
+  const lines = rows.map((r) =>
+    [r.id, r.at, r.actorId, r.action, r.recommendationId, r.before && JSON.stringify(r.before), r.after && JSON.stringify(r.after)]
+      .map(csvCell)
+      .join(',')
+  );
+  const buf = Buffer.from([header.join(','), ...lines].join('\n'));
+  return { count: rows.length, file: new AttachmentBuilder(buf, { name: `audit_${stamp}.csv` }) };
+}
@@ -0,0 +1,232 @@
+import { mkdir, readdir, stat, unlink } from 'node:fs/promises';
+import path from 'node:path';
+import { AttachmentBuilder } from 'discord.js';
+import {
+  EXPORT_TABLES,
+  OPEN_STATUSES,
+  REC_STATUS,
+  db,
+  exportTables,
+  getJobByKey,
+  getRecommendation,
+  getRecommendationByMessage,
+  importTables,
+  newRecommendationId,
+} from './db.js';
+import { getMigrationStatus } from './migrations/index.js';
+import { buildProofAttachment } from './proofs.js';
+import { scheduleExpiry } from './reminders.js';
+import { registerJob, schedule } from './scheduler.js';
+import { buildRecEmbed, editAllMessagesFromDb } from './views.js';
+
+const {
+  BACKUP_DIR, // default ./backups
+  BACKUP_KEEP, // newest backups kept, default 7
+  BACKUP_INTERVAL_HOURS, // default 24; 0 turns the scheduled backup off
+} = process.env;
+
+const DIR = path.resolve(BACKUP_DIR || './backups');
+const KEEP = Math.max(1, Number(BACKUP_KEEP) || 7);
+const INTERVAL_MS = (BACKUP_INTERVAL_HOURS === undefined ? 24 : Number(BACKUP_INTERVAL_HOURS)) * 60 * 60_000;
+const BACKUP_JOB = 'db.backup';
+const BACKUP_FILE_RE = /^recruitment-[\dTZ-]+\.db$/;
+// same bound as proof downloads, so a stalled upload can't leave an import deferred forever
+const DOWNLOAD_TIMEOUT_MS = 15_000;
+
+/* =========================
+   BACKUPS
+   ========================= */
+// SQLite's online backup API copies a consistent snapshot page by page while
+// the bot keeps writing. Files are named by UTC time, so name order is age order.
+
+/** Take a backup now and prune the oldest beyond BACKUP_KEEP. Returns { file, size, pruned }. */
+export async function createBackup(now = new Date()) {
+  await mkdir(DIR, { recursive: true });
+  const name = `recruitment-${now.toISOString().replace(/[:.]/g, '-')}.db`;
+  const file = path.join(DIR, name);
+  await db.backup(file);
+
+  const all = (await readdir(DIR)).filter((f) => BACKUP_FILE_RE.test(f)).sort();
+  const old = all.slice(0, Math.max(0, all.length - KEEP));
+  await Promise.all(old.map((f) => unlink(path.join(DIR, f)).catch(() => {})));
+  return { file, size: (await stat(file)).size, pruned: old.length };
+}
+
+/** Keep exactly one pending scheduled backup (no-op when BACKUP_INTERVAL_HOURS is 0). */
+export function ensureBackupJob() {
+  if (!(INTERVAL_MS > 0)) return;
+  if (getJobByKey(BACKUP_JOB)?.status === 'pending') return;
+  schedule(BACKUP_JOB, { runAt: Date.now() + INTERVAL_MS, dedupeKey: BACKUP_JOB });
+}
+
+registerJob(BACKUP_JOB, async () => {
+  // a failed backup is logged and the next one still gets scheduled
+  try {
+    const { file } = await createBackup();
+    console.log(`💾 Scheduled backup written to ${file}`);
+  } catch (e) {
+    console.error('Scheduled backup failed:', e);
+  }
+  if (INTERVAL_MS > 0) schedule(BACKUP_JOB, { runAt: Date.now() + INTERVAL_MS, dedupeKey: BACKUP_JOB });
+});
+
+/* =========================
+   JSON EXPORT
+   ========================= */
+// { format, schemaVersion, exportedAt, tables: { <table>: [row, ...] } } with raw
+// columns, for one department's recommendations. Scheduled jobs are not
+// exported; imported recommendations get new ones.
+export const EXPORT_FORMAT = 'recruitment-export';
+
+export function buildDataExport(guildId, now = Date.now()) {
+  const tables = exportTables(guildId);
+  const data = { format: EXPORT_FORMAT, schemaVersion: getMigrationStatus(db).current, exportedAt: now, tables };
+  const name = `recruitment-export_${new Date(now).toISOString().slice(0, 10)}.json`;
+  return {
+    count: tables.recommendations.length,
+    file: new AttachmentBuilder(Buffer.from(JSON.stringify(data)), { name }),
+  };
+}
+
+/* =========================
+   JSON IMPORT
+   ========================= */
+// Which column of each table holds a recommendation ID or an origin message ID.
+const REC_ID_COLUMN = { recommendations: 'id', recommendation_sponsors: 'recommendationId' };
+const ORIGIN_COLUMN = {
+  recommendations: 'originMessageId',
+  bg_checks: 'messageId',
+  observations: 'messageId',
+  polls: 'originMessageId',
+  poll_votes: 'originMessageId',
+  message_refs: 'originMessageId',
+};
+
+// statuses the expiry job still applies to (see REC_STATUS)
+const EXPIRABLE = new Set([REC_STATUS.SUBMITTED, REC_STATUS.BG_PASS, REC_STATUS.OBSERVING]);
+
+/**
+ * Decide how an export maps onto this database. A recommendation is already
+ * here if its post is, or if its ID is taken by the same recommendation (same
+ * recommender and submit time, e.g. a file imported twice); those are skipped.
+ * An ID taken by a different one gets a fresh ID.
+ * Returns { skipOrigins: Set, recIds: Map<old, new> }.
+ */
+export function planImport(tables, { findById = getRecommendation, findByOrigin = getRecommendationByMessage } = {}) {
+  const skipOrigins = new Set();
+  const recIds = new Map();
+  const used = new Set();
+  for (const rec of tables.recommendations ?? []) {
+    const same = findById(rec.id);
+    const present =
+      (rec.originMessageId && findByOrigin(rec.originMessageId)) ||
+      (same && same.recommenderId === rec.recommenderId && same.createdAt === rec.createdAt);
+    if (present) {
+      skipOrigins.add(rec.originMessageId);
+      continue;
+    }
+    let id = rec.id;
+    while (findById(id) || used.has(id)) id = newRecommendationId();
+    used.add(id);
+    if (id !== rec.id) recIds.set(rec.id, id);
+  }
+  return { skipOrigins, recIds };
+}
+
+/**
+ * Rewrite exported rows for this database: drop skipped recommendations, apply
+ * the new recommendation IDs and, for reposted posts, the new origin message
+ * (`reposted`: Map<old originMessageId, { channelId, guildId, messageId }>).
+ */
+export function remapTables(tables, { skipOrigins = new Set(), recIds = new Map(), reposted = new Map() }) {
+  const keptRecIds = new Set(
+    (tables.recommendations ?? []).filter((r) => !skipOrigins.has(r.originMessageId)).map((r) => r.id)
+  );
+  const origin = (id) => reposted.get(id)?.messageId ?? id;
+
+  const out = {};
+  for (const t of EXPORT_TABLES) {
+    const recCol = REC_ID_COLUMN[t];
+    const originCol = ORIGIN_COLUMN[t];
+    out[t] = (tables[t] ?? [])
+      .filter((row) => (recCol ? keptRecIds.has(row[recCol]) : true) && !(originCol && skipOrigins.has(row[originCol])))
+      // the old post is gone; its replacement is added below (a thread that shared its ID stays)
+      .filter((row) => !(t === 'message_refs' && row.kind !== 'thread' && reposted.has(row.messageId)))
+      .map((row) => {
+        const next = { ...row };
+        if (recCol) next[recCol] = recIds.get(row[recCol]) ?? row[recCol];
+        if (originCol) next[originCol] = origin(row[originCol]);
+        if (t === 'recommendations' && reposted.has(row.originMessageId)) {
+          const { channelId, guildId } = reposted.get(row.originMessageId);
+          Object.assign(next, { channelId, guildId });
+        }
+        return next;
+      });
+  }
+  for (const { channelId, messageId } of reposted.values()) {
+    out.message_refs.push({ originMessageId: messageId, channelId, messageId });
+  }
+  return out;
+}
+
+function readExport(data) {
+  if (data?.format !== EXPORT_FORMAT || typeof data.tables !== 'object' || !Array.isArray(data.tables?.recommendations)) {
+    return { ok: false, reason: 'That file is not a recruitment export.' };
+  }
+  const current = getMigrationStatus(db).current;
+  if (Number(data.schemaVersion) > current) {
+    return { ok: false, reason: `That export is from a newer schema (v${data.schemaVersion}); this bot is at v${current}.` };
+  }
+  return { ok: true, tables: data.tables };
+}
+
+/**
+ * Load an export. With `channel` (a recreated recommendations channel), open
+ * recommendations are reposted there and every row is moved onto the new post;
+ * closed ones are restored as history only.
+ * Returns { ok: true, counts, renamed, skipped, reposted } or { ok: false, reason }.
+ */
+export async function importDataExport(client, data, { channel } = {}) {
+  const parsed = readExport(data);
+  if (!parsed.ok) return parsed;
+  const { tables } = parsed;
+  const plan = planImport(tables);
+
+  const reposted = new Map();
+  if (channel) {
+    for (const rec of tables.recommendations) {
+      if (plan.skipOrigins.has(rec.originMessageId) || !OPEN_STATUSES.has(rec.status)) continue;
+      // posted bare with its proof, then rendered in full from DB state once the rows are in
+      const bare = { ...rec, id: plan.recIds.get(rec.id) ?? rec.id, originMessageId: null };
+      const proof = await buildProofAttachment(bare);
+      const sent = await channel.send({ embeds: [buildRecEmbed(bare)], files: proof ? [proof] : [] });
+      reposted.set(rec.originMessageId, { channelId: sent.channelId, guildId: sent.guildId, messageId: sent.id });
+    }
+  }
+
+  const rows = remapTables(tables, { ...plan, reposted });
+  const counts = importTables(rows);
+
+  for (const rec of rows.recommendations) {
+    if (EXPIRABLE.has(rec.status)) scheduleExpiry(rec);
+  }
+  for (const { messageId } of reposted.values()) {
+    await editAllMessagesFromDb(client, messageId);
+  }
+
+  return { ok: true, counts, renamed: plan.recIds.size, skipped: plan.skipOrigins.size, reposted: reposted.size };
+}
+
+/** Download an uploaded JSON file (an export, a track list) and parse it; { ok: true, data } or { ok: false, reason }. */
+export async function fetchDataExport(attachment) {
+  const res = await fetch(attachment.url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) }).catch(() => null);
+  if (!res?.ok) return { ok: false, reason: 'Could not download that file.' };
+  // the timeout also aborts a body that stops arriving halfway
+  const text = await res.text().catch(() => null);
+  if (text === null) return { ok: false, reason: 'Could not download that file.' };
+  try {
+    return { ok: true, data: JSON.parse(text) };
+  } catch {
+    return { ok: false, reason: 'That file is not valid JSON.' };
+  }
+}
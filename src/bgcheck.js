@@ -0,0 +1,182 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, StringSelectMenuBuilder } from 'discord.js';
+import { AUDIT, audit } from './audit.js';
+import { buildChecklistLines, criteriaForCheck, getCriteria, meetsPassThreshold } from './criteria.js';
+import {
+  REC_STATUS,
+  countObservations,
+  getBg,
+  getDoneSet,
+  getRecommendationByMessage,
+  saveBgSelection,
+  setBgStatus,
+  setRecommendationStatus,
+} from './db.js';
+import { NOTICE, notifyRecommenders } from './notify.js';
+import { completeObservations } from './polls.js';
+import { scheduleEscalation, scheduleObservationReminder } from './reminders.js';
+import { MIN_ACCOUNT_AGE, accountAgeMs } from './roblox.js';
+import { trackOf } from './settings.js';
+import { postToThread } from './threads.js';
+import { criteriaForTrack } from './tracks.js';
+import { editAllMessagesFromDb } from './views.js';
+
+/* =========================
+   BACKGROUND CHECK (DB-backed)
+   ========================= */
+// Routes: bg:start (on the post) -> bg:menu:<originId> -> bg:pass|decline|cancel:<originId>.
+// All but cancel run behind withRecommendation + allow(STAGE.BG_CHECK).
+
+// the actions row depends on whether every required item is selected
+function buildBgActionsRow(originMessageId, canPass) {
+  const cancel = new ButtonBuilder().setCustomId(`bg:cancel:${originMessageId}`).setLabel('Cancel').setStyle(ButtonStyle.Secondary);
+  // required items missing -> show Decline + Cancel
+  const decide = canPass
+    ? new ButtonBuilder().setCustomId(`bg:pass:${originMessageId}`).setLabel('Pass').setStyle(ButtonStyle.Success)
+    : new ButtonBuilder().setCustomId(`bg:decline:${originMessageId}`).setLabel('Decline').setStyle(ButtonStyle.Danger);
+  return new ActionRowBuilder().addComponents(decide, cancel);
+}
+
+function isBgFinalized(originMessageId) {
+  const st = (getBg(originMessageId).status || '').toUpperCase();
+  return st === 'PASS' || st === 'FAIL';
+}
+
+/** Start flow: the criteria menu on its own (buttons appear after the first selection). */
+export async function handleBgStart({ interaction, rec }) {
+  const originMessageId = interaction.message.id;
+  if (isBgFinalized(originMessageId)) {
+    return interaction.reply({ ephemeral: true, content: '⚠️ This background check was already completed by someone else.' });
+  }
+
+  const criteria = criteriaForTrack(getCriteria(interaction.guildId), trackOf(rec));
+  // the Roblox lookup at submit time already answers the account age question
+  const age = accountAgeMs(rec);
+  const ageOk = age !== null && age >= MIN_ACCOUNT_AGE;
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`bg:menu:${originMessageId}`)
+    .setPlaceholder('Select all items that PASS')
+    .setMinValues(0)
+    .setMaxValues(criteria.length)
+    .addOptions(
+      criteria.map((c) => ({
+        label: c.label.slice(0, 100),
+        value: c.key,
+        description: c.required ? 'Required' : 'Optional',
+        default: c.key === 'age' && ageOk,
+      }))
+    );
+
+  const ageNote =
+    age === null
+      ? ''
+      : `\n-# Roblox account is ${Math.floor(age / (24 * 60 * 60_000))} days old${ageOk ? '; age is pre-selected.' : '.'}`;
+
+  return interaction.reply({
+    ephemeral: true,
+    content: `**Background check**\nSelect all that **PASS**. Buttons will appear once you make a selection.${ageNote}`,
+    components: [new ActionRowBuilder().addComponents(menu)],
+  });
+}
+
+/** Save selections and show the right buttons. */
+export async function handleBgMenu({ interaction, params, rec }) {
+  const { originId } = params;
+  if (isBgFinalized(originId)) {
+    return interaction.update({ content: '⚠️ This background check was already finalized by someone else.', components: [] });
+  }
+
+  const criteria = criteriaForTrack(getCriteria(interaction.guildId), trackOf(rec));
+  saveBgSelection(originId, interaction.values, criteria);
+
+  const canPass = meetsPassThreshold(interaction.values, criteria);
+  const required = criteria.filter((c) => c.required);
+  const count = required.filter((c) => interaction.values.includes(c.key)).length;
+  const menuRow = interaction.message.components[0]; // keep the same menu row
+
+  return interaction.update({
+    content: canPass
+      ? `All **${required.length}/${required.length}** required checks selected. You can **Pass**.`
+      : `Selections saved (**${count}/${required.length}** required). You can **Decline** or keep selecting.`,
+    components: [menuRow, buildBgActionsRow(originId, canPass)],
+  });
+}
+
+export async function handleBgCancel({ interaction, client, params }) {
+  const rec = getRecommendationByMessage(params.originId);
+  audit(client, { actorId: interaction.user.id, action: AUDIT.BG_CANCEL, recommendationId: rec?.id });
+  return interaction.update({ content: '❎ Background check cancelled.', components: [] });
+}
+
+/** First-wins submit of Pass / Decline (`bg:<decision>:<originId>`), routed behind deferUpdate: re-rendering every copy takes a while. */
+export async function handleBgDecision({ interaction, client, params, rec }) {
+  const { decision, originId: originMessageId } = params;
+  const pass = decision === 'pass';
+  const statusWord = pass ? 'PASS' : 'FAIL';
+
+  // FIRST-WINS GUARD: if someone already submitted, stop here
+  if (isBgFinalized(originMessageId)) {
+    audit(client, {
+      actorId: interaction.user.id,
+      action: AUDIT.BG_CONFLICT,
+      recommendationId: rec?.id,
+      after: { attempted: statusWord },
+    });
+    return interaction.editReply({ content: '⚠️ Someone already finalized this background check.', components: [] });
+  }
+
+  // the Pass button only shows when the threshold is met, but re-check the stored selection
+  const current = getBg(originMessageId);
+  if (pass && !meetsPassThreshold(JSON.parse(current.selected_json || '[]'), criteriaForCheck(current))) {
+    return interaction.editReply({ content: '❌ Not every required check is selected.', components: [] });
+  }
+
+  if (!rec) return interaction.editReply({ content: '❌ Recommendation record not found.', components: [] });
+  if (rec.status === REC_STATUS.WITHDRAWN || rec.status === REC_STATUS.EXPIRED) {
+    return interaction.editReply({ content: `⚠️ This recommendation was ${rec.status}.`, components: [] });
+  }
+
+  setBgStatus(originMessageId, statusWord);
+  // a reopened check may already have observations on file
+  let newStatus = pass ? REC_STATUS.BG_PASS : REC_STATUS.BG_FAIL;
+  if (newStatus === REC_STATUS.BG_PASS && getDoneSet(originMessageId).size) newStatus = REC_STATUS.OBSERVING;
+  setRecommendationStatus(originMessageId, newStatus);
+  const observed = pass && countObservations(originMessageId) >= trackOf(rec).observations;
+  if (pass && !observed) {
+    scheduleObservationReminder(originMessageId);
+    scheduleEscalation(originMessageId);
+  }
+  notifyRecommenders(client, rec, pass ? NOTICE.BG_PASS : NOTICE.BG_FAIL);
+  audit(client, {
+    actorId: interaction.user.id,
+    action: pass ? AUDIT.BG_PASS : AUDIT.BG_FAIL,
+    recommendationId: rec.id,
+    before: { status: rec.status },
+    after: { status: newStatus, selected: JSON.parse(getBg(originMessageId).selected_json || '[]') },
+  });
+
+  // into the discussion thread first: a FAIL closes it when the posts are re-rendered
+  const bg = getBg(originMessageId);
+  const checklist = buildChecklistLines(JSON.parse(bg.selected_json || '[]'), criteriaForCheck(bg));
+  await postToThread(client, originMessageId, {
+    embeds: [
+      new EmbedBuilder()
+        .setTitle(`${pass ? '✅' : '❌'} Background Check: ${statusWord}`)
+        .setColor(pass ? 0x2ecc71 : 0xe74c3c)
+        .setDescription([`Checked by <@${interaction.user.id}>`, ...checklist].join('\n')),
+    ],
+  });
+
+  // Re-render the original message: "Background Check: PASS/FAIL" + obs buttons or disabled row
+  await editAllMessagesFromDb(client, originMessageId);
+
+  await interaction.editReply({ content: `✅ Background check **${statusWord}** recorded.`, components: [] });
+
+  // tracks without observations (or a reopened check that already has them) move straight on
+  if (observed) {
+    try {
+      await completeObservations(client, getRecommendationByMessage(originMessageId));
+    } catch (e) {
+      console.error('Completing observations failed:', e);
+    }
+  }
+}
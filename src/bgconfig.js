@@ -0,0 +1,93 @@
+import { EmbedBuilder } from 'discord.js';
+import { AUDIT, audit } from './audit.js';
+import { OPT, SUB } from './commands.js';
+import { CRITERION_KEY_RE, DEFAULT_CRITERIA, MAX_CRITERIA, getCriteria } from './criteria.js';
+import { replaceBgCriteria } from './db.js';
+
+/* =========================
+   /bgconfig
+   ========================= */
+function buildCriteriaEmbed(criteria) {
+  const lines = criteria.map(
+    (c, i) => `**${i + 1}.** \`${c.key}\` — ${c.label}${c.required ? '' : ' *(optional)*'}\n${c.description || '—'}`
+  );
+  return new EmbedBuilder()
+    .setTitle('Background Check Criteria')
+    .setColor(0x5865f2)
+    .setDescription(lines.join('\n\n').slice(0, 4096) || 'No criteria configured.')
+    .setFooter({ text: `${criteria.filter((c) => c.required).length} required of ${criteria.length}` });
+}
+
+/** Move an item to a 1-based position (clamped); no position keeps it where it is. */
+export function placeAt(list, item, position) {
+  const rest = list.filter((c) => c.key !== item.key);
+  const at = position ? Math.min(Math.max(position - 1, 0), rest.length) : list.findIndex((c) => c.key === item.key);
+  rest.splice(at < 0 ? rest.length : at, 0, item);
+  return rest;
+}
+
+export async function handleBgConfig(interaction) {
+  const guildId = interaction.guildId;
+  const sub = interaction.options.getSubcommand();
+  const before = getCriteria(guildId);
+  let after;
+
+  if (sub === SUB.BGCONFIG_LIST) {
+    return interaction.reply({ ephemeral: true, embeds: [buildCriteriaEmbed(before)] });
+  }
+
+  if (sub === SUB.BGCONFIG_ADD) {
+    const key = interaction.options.getString(OPT.KEY, true).trim().toLowerCase();
+    if (!CRITERION_KEY_RE.test(key)) {
+      return interaction.reply({ ephemeral: true, content: '❌ Key must be 1-32 characters of a-z, 0-9, `_` or `-`.' });
+    }
+    if (before.some((c) => c.key === key)) {
+      return interaction.reply({ ephemeral: true, content: `❌ A criterion with key \`${key}\` already exists.` });
+    }
+    if (before.length >= MAX_CRITERIA) {
+      return interaction.reply({ ephemeral: true, content: `❌ At most ${MAX_CRITERIA} criteria are supported.` });
+    }
+    const item = {
+      key,
+      label: interaction.options.getString(OPT.LABEL, true).trim(),
+      description: interaction.options.getString(OPT.DESCRIPTION)?.trim() || null,
+      required: interaction.options.getBoolean(OPT.REQUIRED) ?? true,
+    };
+    after = placeAt([...before, item], item, interaction.options.getInteger(OPT.POSITION));
+  } else if (sub === SUB.BGCONFIG_EDIT) {
+    const key = interaction.options.getString(OPT.KEY, true).trim().toLowerCase();
+    const existing = before.find((c) => c.key === key);
+    if (!existing) return interaction.reply({ ephemeral: true, content: `❌ No criterion with key \`${key}\`.` });
+    const item = {
+      ...existing,
+      label: interaction.options.getString(OPT.LABEL)?.trim() || existing.label,
+      description: interaction.options.getString(OPT.DESCRIPTION)?.trim() || existing.description,
+      required: interaction.options.getBoolean(OPT.REQUIRED) ?? existing.required,
+    };
+    after = placeAt(before.map((c) => (c.key === key ? item : c)), item, interaction.options.getInteger(OPT.POSITION));
+  } else if (sub === SUB.BGCONFIG_REMOVE) {
+    const key = interaction.options.getString(OPT.KEY, true).trim().toLowerCase();
+    if (!before.some((c) => c.key === key)) {
+      return interaction.reply({ ephemeral: true, content: `❌ No criterion with key \`${key}\`.` });
+    }
+    if (before.length === 1) {
+      return interaction.reply({ ephemeral: true, content: '❌ At least one criterion is required.' });
+    }
+    after = before.filter((c) => c.key !== key);
+  } else if (sub === SUB.BGCONFIG_RESET) {
+    after = DEFAULT_CRITERIA.map((c) => ({ ...c }));
+  } else {
+    return interaction.reply({ ephemeral: true, content: '❌ Unknown subcommand.' });
+  }
+
+  // checks already done keep their own snapshot, so this only affects new ones
+  replaceBgCriteria(guildId, after);
+  audit(interaction.client, {
+    actorId: interaction.user.id,
+    action: AUDIT.BGCONFIG_UPDATE,
+    guildId: interaction.guildId,
+    before: { criteria: before.map((c) => c.key) },
+    after: { criteria: after.map((c) => c.key), change: sub },
+  });
+  return interaction.reply({ ephemeral: true, content: '✅ Criteria updated.', embeds: [buildCriteriaEmbed(getCriteria(guildId))] });
+}
@@ -0,0 +1,420 @@
+import { ChannelType, InteractionContextType, PermissionFlagsBits, REST, Routes, SlashCommandBuilder } from 'discord.js';
+import { MAX_OBSERVATIONS } from './tracks.js';
+
+/* =========================
+   COMMAND REGISTRY
+   ========================= */
+// Single source of truth for slash command names/options. The routes in
+// routes.js and the deploy script both read from here.
+export const CMD = Object.freeze({
+  RECOMMEND: 'recommend',
+  RECSTATUS: 'recstatus',
+  RECHISTORY: 'rechistory',
+  AUDIT: 'audit',
+  BGCONFIG: 'bgconfig',
+  RECADMIN: 'recadmin',
+  RECPROOF: 'recproof',
+  RECSTATS: 'recstats',
+  NOTIFICATIONS: 'notifications',
+  SETUP: 'setup',
+  RECFORM: 'recform',
+});
+
+export const SUB = Object.freeze({
+  AUDIT_EXPORT: 'export',
+  BGCONFIG_LIST: 'list',
+  BGCONFIG_ADD: 'add',
+  BGCONFIG_EDIT: 'edit',
+  BGCONFIG_REMOVE: 'remove',
+  BGCONFIG_RESET: 'reset',
+  RECADMIN_REOPEN_BG: 'reopen-bg',
+  RECADMIN_VOID_OBS: 'void-observation',
+  RECADMIN_BACKUP: 'backup',
+  RECADMIN_EXPORT: 'export',
+  RECADMIN_IMPORT: 'import',
+  RECADMIN_RESYNC: 'resync',
+  RECADMIN_TRACKS: 'tracks',
+  RECFORM_LIST: 'list',
+  RECFORM_SHOW: 'show',
+  RECFORM_CREATE: 'create',
+  RECFORM_DELETE: 'delete',
+  RECFORM_FIELD: 'field',
+  RECFORM_REMOVE_FIELD: 'remove-field',
+  RECFORM_REQUIREMENTS: 'requirements',
+});
+
+export const OPT = Object.freeze({
+  SAFECHAT_PROOF: 'safechat_proof',
+  LR_USERNAME: 'lr_username',
+  USER: 'user',
+  FROM: 'from',
+  TO: 'to',
+  FORMAT: 'format',
+  KEY: 'key',
+  LABEL: 'label',
+  DESCRIPTION: 'description',
+  REQUIRED: 'required',
+  POSITION: 'position',
+  RECOMMENDATION: 'recommendation',
+  SLOT: 'slot',
+  REASON: 'reason',
+  CANDIDATE: 'candidate',
+  DMS: 'dms',
+  FORM: 'form',
+  TITLE: 'title',
+  COPY_FROM: 'copy_from',
+  TYPE: 'type',
+  MIN: 'min',
+  MAX: 'max',
+  CHOICES: 'choices',
+  PLACEHOLDER: 'placeholder',
+  TRACK: 'track',
+  FILE: 'file',
+  CHANNEL: 'channel',
+  RESET: 'reset',
+});
+
+export const commandDefinitions = [
+  new SlashCommandBuilder()
+    .setName(CMD.RECOMMEND)
+    .setDescription('Recommend a member to the Recruitment Department')
+    .setContexts(InteractionContextType.Guild)
+    .addAttachmentOption((o) =>
+      o
+        .setName(OPT.SAFECHAT_PROOF)
+        .setDescription('Screenshot proving the user does not have Safechat (png/jpg/webp/gif, max 8MB)')
+        .setRequired(true)
+    )
+    .addUserOption((o) =>
+      o.setName(OPT.CANDIDATE).setDescription("The candidate's Discord account, so they can be told the outcome")
+    )
+    .addStringOption((o) =>
+      o.setName(OPT.FORM).setDescription("Which recommendation form to fill in (default: the track's form)").setAutocomplete(true)
+    )
+    // each department has its own tracks, so they are offered by autocomplete
+    .addStringOption((o) =>
+      o.setName(OPT.TRACK).setDescription("Promotion track (default: the department's first track)").setAutocomplete(true)
+    ),
+
+  new SlashCommandBuilder()
+    .setName(CMD.RECSTATUS)
+    .setDescription('Show where a candidate stands in the recruitment pipeline')
+    .setContexts(InteractionContextType.Guild)
+    .addStringOption((o) =>
+      o.setName(OPT.LR_USERNAME).setDescription('Roblox username (LR) of the candidate').setRequired(true).setMaxLength(50)
+    ),
+
+  new SlashCommandBuilder()
+    .setName(CMD.RECHISTORY)
+    .setDescription('List every recommendation a supervisor has made')
+    .setContexts(InteractionContextType.Guild)
+    .addUserOption((o) => o.setName(OPT.USER).setDescription('The recommender').setRequired(true)),
+
+  new SlashCommandBuilder()
+    .setName(CMD.AUDIT)
+    .setDescription('Recruitment audit log')
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand((sc) =>
+      sc
+        .setName(SUB.AUDIT_EXPORT)
+        .setDescription('Export audit events for a date range')
+        .addStringOption((o) => o.setName(OPT.FROM).setDescription('Start day, YYYY-MM-DD (default: 30 days ago)'))
+        .addStringOption((o) => o.setName(OPT.TO).setDescription('End day inclusive, YYYY-MM-DD (default: today)'))
+        .addStringOption((o) =>
+          o
+            .setName(OPT.FORMAT)
+            .setDescription('File format (default: CSV)')
+            .addChoices({ name: 'CSV', value: 'csv' }, { name: 'JSON', value: 'json' })
+        )
+    ),
+
+  new SlashCommandBuilder()
+    .setName(CMD.BGCONFIG)
+    .setDescription('Manage the background check criteria for this server')
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand((sc) => sc.setName(SUB.BGCONFIG_LIST).setDescription('Show the current criteria'))
+    .addSubcommand((sc) =>
+      sc
+        .setName(SUB.BGCONFIG_ADD)
+        .setDescription('Add a criterion')
+        .addStringOption((o) =>
+          o.setName(OPT.KEY).setDescription('Short id, e.g. "age" (a-z, 0-9, _ or -)').setRequired(true).setMaxLength(32)
+        )
+        .addStringOption((o) =>
+          o.setName(OPT.LABEL).setDescription('Checklist label').setRequired(true).setMaxLength(100)
+        )
+        .addStringOption((o) =>
+          o.setName(OPT.DESCRIPTION).setDescription('Requirement text shown to recommenders').setMaxLength(500)
+        )
+        .addBooleanOption((o) => o.setName(OPT.REQUIRED).setDescription('Needed to PASS (default: yes)'))
+        .addIntegerOption((o) =>
+          o.setName(OPT.POSITION).setDescription('1-based position (default: last)').setMinValue(1).setMaxValue(25)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName(SUB.BGCONFIG_EDIT)
+        .setDescription('Edit a criterion')
+        .addStringOption((o) => o.setName(OPT.KEY).setDescription('Criterion id').setRequired(true).setMaxLength(32))
+        .addStringOption((o) => o.setName(OPT.LABEL).setDescription('Checklist label').setMaxLength(100))
+        .addStringOption((o) =>
+          o.setName(OPT.DESCRIPTION).setDescription('Requirement text shown to recommenders').setMaxLength(500)
+        )
+        .addBooleanOption((o) => o.setName(OPT.REQUIRED).setDescription('Needed to PASS'))
+        .addIntegerOption((o) =>
+          o.setName(OPT.POSITION).setDescription('1-based position').setMinValue(1).setMaxValue(25)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName(SUB.BGCONFIG_REMOVE)
+        .setDescription('Remove a criterion')
+        .addStringOption((o) => o.setName(OPT.KEY).setDescription('Criterion id').setRequired(true).setMaxLength(32))
+    )
+    .addSubcommand((sc) => sc.setName(SUB.BGCONFIG_RESET).setDescription('Restore the default five criteria')),
+
+  new SlashCommandBuilder()
+    .setName(CMD.RECADMIN)
+    .setDescription('Recruitment admin tools')
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand((sc) =>
+      sc
+        .setName(SUB.RECADMIN_REOPEN_BG)
+        .setDescription('Reopen a finalized background check')
+        .addStringOption((o) =>
+          o.setName(OPT.RECOMMENDATION).setDescription('Recommendation ID').setRequired(true).setMaxLength(16)
+        )
+        .addStringOption((o) =>
+          o.setName(OPT.REASON).setDescription('Why it is being reopened').setRequired(true).setMaxLength(500)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName(SUB.RECADMIN_VOID_OBS)
+        .setDescription('Void a filed observation so its slot can be redone')
+        .addStringOption((o) =>
+          o.setName(OPT.RECOMMENDATION).setDescription('Recommendation ID').setRequired(true).setMaxLength(16)
+        )
+        .addIntegerOption((o) =>
+          o.setName(OPT.SLOT).setDescription('Observation number').setRequired(true).setMinValue(1).setMaxValue(MAX_OBSERVATIONS)
+        )
+        .addStringOption((o) =>
+          o.setName(OPT.REASON).setDescription('Why it is being voided').setRequired(true).setMaxLength(500)
+        )
+    )
+    .addSubcommand((sc) => sc.setName(SUB.RECADMIN_BACKUP).setDescription('Take a database backup now'))
+    .addSubcommand((sc) =>
+      sc.setName(SUB.RECADMIN_EXPORT).setDescription('Download this department’s recommendations and their checks as JSON')
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName(SUB.RECADMIN_IMPORT)
+        .setDescription('Load a /recadmin export file')
+        .addAttachmentOption((o) => o.setName(OPT.FILE).setDescription('The export .json file').setRequired(true))
+        .addChannelOption((o) =>
+          o
+            .setName(OPT.CHANNEL)
+            .setDescription('Repost open recommendations here (e.g. a recreated channel)')
+            .addChannelTypes(ChannelType.GuildText)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc.setName(SUB.RECADMIN_RESYNC).setDescription('Re-check every posted recommendation and poll against the database')
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName(SUB.RECADMIN_TRACKS)
+        .setDescription("Download this server's promotion tracks, or replace them")
+        .addAttachmentOption((o) => o.setName(OPT.FILE).setDescription('JSON list of tracks to use from now on'))
+        .addBooleanOption((o) => o.setName(OPT.RESET).setDescription('Go back to the default tracks'))
+    ),
+
+  new SlashCommandBuilder()
+    .setName(CMD.RECPROOF)
+    .setDescription('Retrieve the archived Safechat proof for a recommendation')
+    .setContexts(InteractionContextType.Guild)
+    .addStringOption((o) =>
+      o.setName(OPT.RECOMMENDATION).setDescription('Recommendation ID').setRequired(true).setMaxLength(16)
+    ),
+
+  new SlashCommandBuilder()
+    .setName(CMD.RECSTATS)
+    .setDescription('Recruitment pipeline numbers for a period')
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addStringOption((o) => o.setName(OPT.FROM).setDescription('Start day, YYYY-MM-DD (default: 30 days ago)'))
+    .addStringOption((o) => o.setName(OPT.TO).setDescription('End day inclusive, YYYY-MM-DD (default: today)')),
+
+  new SlashCommandBuilder()
+    .setName(CMD.NOTIFICATIONS)
+    .setDescription('Turn recruitment DMs on or off for yourself')
+    .setContexts(InteractionContextType.Guild, InteractionContextType.BotDM)
+    .addBooleanOption((o) => o.setName(OPT.DMS).setDescription('Receive DMs from this bot (leave empty to see the current setting)')),
+
+  new SlashCommandBuilder()
+    .setName(CMD.SETUP)
+    .setDescription('Pick the channels, roles and vote emojis recruitment uses in this server')
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  new SlashCommandBuilder()
+    .setName(CMD.RECFORM)
+    .setDescription('Manage the recommendation forms for this server')
+    .setContexts(InteractionContextType.Guild)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand((sc) => sc.setName(SUB.RECFORM_LIST).setDescription('List the forms'))
+    .addSubcommand((sc) =>
+      sc
+        .setName(SUB.RECFORM_SHOW)
+        .setDescription('Show a form and its requirements')
+        .addStringOption((o) => o.setName(OPT.FORM).setDescription('Form name').setRequired(true).setAutocomplete(true))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName(SUB.RECFORM_CREATE)
+        .setDescription('Create a form as a copy of another')
+        .addStringOption((o) =>
+          o.setName(OPT.FORM).setDescription('New form name (a-z, 0-9, _ or -)').setRequired(true).setMaxLength(32)
+        )
+        .addStringOption((o) => o.setName(OPT.TITLE).setDescription('Modal title').setMaxLength(45))
+        .addStringOption((o) =>
+          o.setName(OPT.COPY_FROM).setDescription('Form to copy (default: default)').setAutocomplete(true)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName(SUB.RECFORM_DELETE)
+        .setDescription('Delete a form')
+        .addStringOption((o) => o.setName(OPT.FORM).setDescription('Form name').setRequired(true).setAutocomplete(true))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName(SUB.RECFORM_FIELD)
+        .setDescription('Add a field to a form, or replace the one with the same key')
+        .addStringOption((o) => o.setName(OPT.FORM).setDescription('Form name').setRequired(true).setAutocomplete(true))
+        .addStringOption((o) =>
+          o
+            .setName(OPT.KEY)
+            .setDescription('Short id, e.g. "timezone" ("lr_username" and "reason" are built in)')
+            .setRequired(true)
+            .setMaxLength(32)
+        )
+        .addStringOption((o) => o.setName(OPT.LABEL).setDescription('Question shown in the form').setRequired(true).setMaxLength(45))
+        .addStringOption((o) =>
+          o
+            .setName(OPT.TYPE)
+            .setDescription('Kind of answer')
+            .setRequired(true)
+            .addChoices(
+              { name: 'Short text', value: 'text' },
+              { name: 'Paragraph', value: 'paragraph' },
+              { name: 'Number', value: 'number' },
+              { name: 'Date (YYYY-MM-DD)', value: 'date' },
+              { name: 'Choice', value: 'choice' }
+            )
+        )
+        .addBooleanOption((o) => o.setName(OPT.REQUIRED).setDescription('Must be answered (default: yes)'))
+        .addNumberOption((o) => o.setName(OPT.MIN).setDescription('Minimum length, or minimum value for numbers'))
+        .addNumberOption((o) => o.setName(OPT.MAX).setDescription('Maximum length, or maximum value for numbers'))
+        .addStringOption((o) =>
+          o.setName(OPT.CHOICES).setDescription('Comma-separated answers for a choice field').setMaxLength(1000)
+        )
+        .addStringOption((o) => o.setName(OPT.PLACEHOLDER).setDescription('Hint shown in the empty input').setMaxLength(100))
+        .addIntegerOption((o) =>
+          o.setName(OPT.POSITION).setDescription('1-based position (default: last)').setMinValue(1).setMaxValue(5)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName(SUB.RECFORM_REMOVE_FIELD)
+        .setDescription('Remove a field from a form')
+        .addStringOption((o) => o.setName(OPT.FORM).setDescription('Form name').setRequired(true).setAutocomplete(true))
+        .addStringOption((o) => o.setName(OPT.KEY).setDescription('Field id').setRequired(true).setMaxLength(32))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName(SUB.RECFORM_REQUIREMENTS)
+        .setDescription('Edit the requirements text and modal title of a form')
+        .addStringOption((o) => o.setName(OPT.FORM).setDescription('Form name').setRequired(true).setAutocomplete(true))
+    ),
+];
+
+export function commandsJson() {
+  return commandDefinitions.map((c) => c.toJSON());
+}
+
+/* =========================
+   DIFF
+   ========================= */
+// Only compare what we actually define; the API adds ids, versions, etc.
+function normalizeOption(o) {
+  return {
+    type: o.type,
+    name: o.name,
+    description: o.description,
+    required: Boolean(o.required),
+    choices: (o.choices ?? []).map((c) => ({ name: c.name, value: c.value })),
+    options: (o.options ?? []).map(normalizeOption),
+    channel_types: o.channel_types ?? [],
+    min_value: o.min_value ?? null,
+    max_value: o.max_value ?? null,
+    min_length: o.min_length ?? null,
+    max_length: o.max_length ?? null,
+    autocomplete: Boolean(o.autocomplete),
+  };
+}
+function normalizeCommand(c) {
+  return {
+    type: c.type ?? 1,
+    name: c.name,
+    description: c.description,
+    options: (c.options ?? []).map(normalizeOption),
+    default_member_permissions: c.default_member_permissions ?? null,
+    contexts: c.contexts ?? null,
+  };
+}
+
+/** Compare local definitions against registered commands by name. */
+export function diffCommands(local, remote) {
+  const remoteByName = new Map(remote.map((c) => [c.name, c]));
+  const localNames = new Set(local.map((c) => c.name));
+
+  const added = [];
+  const changed = [];
+  const unchanged = [];
+  for (const c of local) {
+    const r = remoteByName.get(c.name);
+    if (!r) added.push(c.name);
+    else if (JSON.stringify(normalizeCommand(c)) !== JSON.stringify(normalizeCommand(r))) changed.push(c.name);
+    else unchanged.push(c.name);
+  }
+  const removed = remote.filter((r) => !localNames.has(r.name)).map((r) => r.name);
+
+  return { added, changed, removed, unchanged, dirty: added.length + changed.length + removed.length > 0 };
+}
+
+/* =========================
+   REGISTER
+   ========================= */
+/**
+ * Register every command for one guild (default: DEPT_GUILD_ID) or globally.
+ * Skips the write when nothing changed; `dryRun` only reports the diff.
+ */
+export async function registerCommands({ token, guildId, global = false, dryRun = false }) {
+  if (!token) throw new Error('Missing BOT_TOKEN');
+  if (!global && !guildId) throw new Error('Missing DEPT_GUILD_ID (or pass --global)');
+
+  const rest = new REST({ version: '10' }).setToken(token);
+  const app = await rest.get(Routes.currentApplication());
+  const route = global ? Routes.applicationCommands(app.id) : Routes.applicationGuildCommands(app.id, guildId);
+
+  const local = commandsJson();
+  const remote = await rest.get(route);
+  const diff = diffCommands(local, remote);
+
+  if (diff.dirty && !dryRun) await rest.put(route, { body: local });
+  return { ...diff, scope: global ? 'global' : `guild ${guildId}`, written: diff.dirty && !dryRun };
+}
@@ -0,0 +1,95 @@
+import { getBgCriteriaRows, replaceBgCriteria } from './db.js';
+
+/* =========================
+   BACKGROUND CHECK CRITERIA
+   ========================= */
+// The original five; seeded per guild on first use and used to render checks
+// that were finalized before criteria snapshots existed.
+export const DEFAULT_CRITERIA = Object.freeze([
+  {
+    key: 'age',
+    label: '60+ day account age',
+    description:
+      'Their account must be at least **60-days (2 months) old** in order to be recommended, this is to prevent troll accounts being accepted into the team.',
+    required: true,
+  },
+  {
+    key: 'safechat',
+    label: 'No Safechat',
+    description:
+      'They must not have **safe chat** on their account, you may check through the info command or PM them to repeat a working phrase.',
+    required: true,
+  },
+  {
+    key: 'seen',
+    label: 'Seen 2+ days by recommender',
+    description:
+      'They must be seen by you for at least **2+ days** in order to be recommended, as recruitment will check for their overall activity in the game.',
+    required: true,
+  },
+  {
+    key: 'comms',
+    label: 'In communications server',
+    description:
+      'They must be a member in our **communications server**, please type in their user in a chat they are in to see if their user pops up.',
+    required: true,
+  },
+  {
+    key: 'history',
+    label: 'No major history/MR restrictions',
+    description:
+      'They must not have any **major history/MR restrictions** with Flawn Salon, the Recruitment Members will be able to check for you before you recommend any. You can DM them, as it is not recommended to ping them anywhere in the MR chat.',
+    required: true,
+  },
+]);
+
+export const MAX_CRITERIA = 25; // select menu option limit
+export const CRITERION_KEY_RE = /^[a-z0-9_-]{1,32}$/;
+
+/** Current criteria for a guild, in display order. */
+export function getCriteria(guildId) {
+  let rows = getBgCriteriaRows(guildId);
+  if (!rows.length) {
+    replaceBgCriteria(guildId, DEFAULT_CRITERIA);
+    rows = getBgCriteriaRows(guildId);
+  }
+  return rows.map((r) => ({ key: r.key, label: r.label, description: r.description, required: Boolean(r.required) }));
+}
+
+/** Criteria a stored BG check was done against (falls back to the original five). */
+export function criteriaForCheck(bg) {
+  if (bg?.criteria_json) {
+    try {
+      return JSON.parse(bg.criteria_json);
+    } catch {
+      /* fall through */
+    }
+  }
+  return DEFAULT_CRITERIA;
+}
+
+export function buildChecklistLines(selected, criteria = DEFAULT_CRITERIA) {
+  const s = new Set(selected || []);
+  return criteria.map((c) => `${s.has(c.key) ? '✅' : '❌'} ${c.label}${c.required ? '' : ' *(optional)*'}`);
+}
+
+/** A check may PASS once every required criterion is selected. */
+export function meetsPassThreshold(selected, criteria) {
+  const s = new Set(selected || []);
+  return criteria.filter((c) => c.required).every((c) => s.has(c.key));
+}
+
+// markdown shown before the recommend modal; {criteria} expands to the guild's criteria list
+export const DEFAULT_REQUIREMENTS = [
+  'Hey, Supervisors! Welcome to the Management Recommendations form, here you will be able to recommend some hard working Experienced Staff, please make sure that they follow the following criteria before you officially recommend them.',
+  '',
+  '💄 **Experienced Staff Criteria**',
+  '{criteria}',
+  '',
+  'If you have any concerns in regards of recommendations, please feel free to DM a member of the Recruitment Department. Have fun recommending!',
+].join('\n');
+
+export function buildRequirementsText(criteria, markdown = DEFAULT_REQUIREMENTS) {
+  const list = criteria.map((c) => `- ${c.description || c.label}${c.required ? '' : ' *(optional)*'}`).join('\n');
+  return markdown.replaceAll('{criteria}', list).slice(0, 4096);
+}
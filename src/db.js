@@ -0,0 +1,85 @@
+import Database from 'better-sqlite3';
+import { runMigrations } from './migrations/index.js';
+import { createRepository } from './repository.js';
+
+const { DB_PATH } = process.env; // e.g. /data/recruitment.db on Railway
+
+/* =========================
+   PERSISTENT STORAGE (SQLite)
+   ========================= */
+export const db = new Database(DB_PATH || './recruitment.db');
+db.pragma('journal_mode = wal');
+
+// bring the schema up to date before anything prepares a statement; see migrations/
+const migrated = runMigrations(db);
+if (migrated.applied.length) {
+  console.log(`🗄️ Database migrated to schema version ${migrated.to} (${migrated.applied.map((m) => m.name).join(', ')})`);
+}
+
+export { EXPORT_TABLES, OPEN_STATUSES, REC_STATUS, newRecommendationId } from './repository.js';
+
+export const {
+  createRecommendation,
+  getRecommendation,
+  getRecommendationByMessage,
+  findRecommendationsByLrUsername,
+  findRecommendationsByRecommender,
+  setRecommendationStatus,
+  reviseRecommendation,
+  getRevisions,
+  addSponsor,
+  getSponsors,
+  putProofStash,
+  getProofStash,
+  touchProofStash,
+  takeProofStash,
+  deleteProofStash,
+  deleteExpiredProofStash,
+  addMsgRef,
+  getMsgRefs,
+  getThreadRef,
+  getAllMsgRefs,
+  deleteMsgRef,
+  saveBgSelection,
+  setBgStatus,
+  getBg,
+  reopenBgCheck,
+  getBgCriteriaRows,
+  upsertBgCriterion,
+  deleteBgCriterion,
+  replaceBgCriteria,
+  getFormTemplateRows,
+  upsertFormTemplate,
+  deleteFormTemplate,
+  getGuildSettingsRow,
+  getAllGuildSettingsRows,
+  updateGuildSettings,
+  saveObservation,
+  getObservation,
+  voidObservation,
+  getObservations,
+  getDoneSet,
+  countObservations,
+  createPoll,
+  getPoll,
+  movePollCopy,
+  getDuePolls,
+  closePollRecord,
+  castVote,
+  getVoteTally,
+  isDmOptedOut,
+  setDmOptOut,
+  upsertJob,
+  getDueJobs,
+  getJobByKey,
+  finishJob,
+  failJob,
+  getStatsRecommendations,
+  getStatsObservations,
+  countAuditActors,
+  countObservers,
+  recordAuditEvent,
+  getAuditEvents,
+  exportTables,
+  importTables,
+} = createRepository(db);
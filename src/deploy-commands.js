@@ -0,0 +1,29 @@
+import 'dotenv/config';
+import { registerCommands } from './commands.js';
+
+// Usage: npm run deploy [-- --global] [-- --dry-run]
+const { BOT_TOKEN, DEPT_GUILD_ID } = process.env;
+const args = new Set(process.argv.slice(2));
+
+try {
+  const res = await registerCommands({
+    token: BOT_TOKEN,
+    guildId: DEPT_GUILD_ID,
+    global: args.has('--global'),
+    dryRun: args.has('--dry-run'),
+  });
+
+  const list = (xs) => (xs.length ? xs.map((n) => `/${n}`).join(', ') : '—');
+  console.log(`Commands (${res.scope})`);
+  console.log(`  added:     ${list(res.added)}`);
+  console.log(`  changed:   ${list(res.changed)}`);
+  console.log(`  removed:   ${list(res.removed)}`);
+  console.log(`  unchanged: ${list(res.unchanged)}`);
+
+  if (!res.dirty) console.log('✅ Already up to date.');
+  else if (res.written) console.log('✅ Commands registered.');
+  else console.log('ℹ️ Dry run — nothing written.');
+} catch (err) {
+  console.error('❌ Deploy failed:', err);
+  process.exitCode = 1;
+}
@@ -0,0 +1,35 @@
+import { OPEN_STATUSES, REC_STATUS, findRecommendationsByLrUsername } from './db.js';
+
+const {
+  RECOMMEND_COOLDOWN_DAYS, // days after a BG FAIL / rejected poll before re-recommending, default 30
+  DUPLICATE_POLICY, // 'merge' (add as co-sponsor, default) | 'block'
+} = process.env;
+
+const COOLDOWN_MS = (RECOMMEND_COOLDOWN_DAYS ? Number(RECOMMEND_COOLDOWN_DAYS) : 30) * 24 * 60 * 60_000;
+export const MERGE_DUPLICATES = (DUPLICATE_POLICY || 'merge').toLowerCase() !== 'block';
+
+const COOLDOWN = new Set([REC_STATUS.BG_FAIL, REC_STATUS.REJECTED]);
+
+/** Trim, drop a leading '@' — the form people paste Roblox names in. Matching is case-insensitive. */
+export function normalizeLrUsername(name) {
+  return (name || '').trim().replace(/^@+/, '');
+}
+
+/**
+ * Look for an earlier recommendation in the same department guild that should
+ * stop or absorb this one. Returns { kind: 'open', rec } | { kind: 'cooldown', rec, until } | null.
+ * `excludeId` skips the recommendation being edited.
+ */
+export function findDuplicate(guildId, lrUsername, { now = Date.now(), excludeId } = {}) {
+  const recs = findRecommendationsByLrUsername(guildId, normalizeLrUsername(lrUsername)).filter((r) => r.id !== excludeId);
+
+  const open = recs.find((r) => OPEN_STATUSES.has(r.status));
+  if (open) return { kind: 'open', rec: open };
+
+  // newest first, so the first terminal one decides the cooldown
+  const last = recs.find((r) => COOLDOWN.has(r.status));
+  if (last && last.updatedAt + COOLDOWN_MS > now) {
+    return { kind: 'cooldown', rec: last, until: last.updatedAt + COOLDOWN_MS };
+  }
+  return null;
+}
@@ -0,0 +1,216 @@
+import { ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } from 'discord.js';
+import { DEFAULT_REQUIREMENTS } from './criteria.js';
+import { getFormTemplateRows, upsertFormTemplate } from './db.js';
+
+/* =========================
+   FORM TEMPLATES
+   ========================= */
+// A form is { name, title, requirements, fields }. Every form asks for the LR
+// username (verification and duplicate checks depend on it); a `reason` field
+// fills the Reason line on the post. Any other answer is shown as its own field.
+export const FIELD_TYPES = Object.freeze({
+  TEXT: 'text',
+  PARAGRAPH: 'paragraph',
+  NUMBER: 'number',
+  DATE: 'date', // YYYY-MM-DD
+  CHOICE: 'choice', // one of `choices`
+});
+
+export const LR_FIELD_KEY = 'lr_username';
+export const REASON_FIELD_KEY = 'reason';
+export const DEFAULT_FORM_NAME = 'default';
+
+export const MAX_FORM_FIELDS = 5; // modal row limit
+export const FORM_NAME_RE = /^[a-z0-9_-]{1,32}$/;
+export const FIELD_KEY_RE = /^[a-z0-9_-]{1,32}$/;
+const MAX_ANSWER_LENGTH = 1024; // embed field value limit
+const MAX_CHOICES = 25;
+
+const DEFAULT_FIELDS = [
+  { key: LR_FIELD_KEY, label: 'Roblox Username (LR)', type: FIELD_TYPES.TEXT, required: true, min: 3, max: 20 },
+  {
+    key: REASON_FIELD_KEY,
+    label: 'Why are you recommending this individual?',
+    type: FIELD_TYPES.PARAGRAPH,
+    required: true,
+    max: MAX_ANSWER_LENGTH,
+  },
+];
+
+export const DEFAULT_FORM = Object.freeze({
+  name: DEFAULT_FORM_NAME,
+  title: 'Recommendation',
+  requirements: DEFAULT_REQUIREMENTS,
+  fields: DEFAULT_FIELDS,
+});
+
+function fromRow(row) {
+  return { name: row.name, title: row.title, requirements: row.requirements || DEFAULT_REQUIREMENTS, fields: JSON.parse(row.fields_json) };
+}
+
+/** All forms of a guild, `default` first (seeded on first read, like the BG criteria). */
+export function getForms(guildId) {
+  let rows = getFormTemplateRows(guildId);
+  if (!rows.length) {
+    upsertFormTemplate(guildId, DEFAULT_FORM, null);
+    rows = getFormTemplateRows(guildId);
+  }
+  return rows.map(fromRow);
+}
+
+export function getForm(guildId, name = DEFAULT_FORM_NAME) {
+  return getForms(guildId).find((f) => f.name === name) ?? null;
+}
+
+/* =========================
+   FIELD DEFINITIONS
+   ========================= */
+/** Why a field definition can't be used, or null. Text limits are lengths; number limits are values. */
+export function validateFieldDef(field) {
+  const { key, label, type, min, max, choices, placeholder } = field;
+  if (!FIELD_KEY_RE.test(key || '')) return 'Key must be 1-32 characters of a-z, 0-9, `_` or `-`.';
+  if (!label || label.length > 45) return 'Label must be 1-45 characters.';
+  if (!Object.values(FIELD_TYPES).includes(type)) return `Unknown type \`${type}\`.`;
+  if (placeholder && placeholder.length > 100) return 'Placeholder must be at most 100 characters.';
+  if (key === LR_FIELD_KEY && type !== FIELD_TYPES.TEXT) return 'The LR username field must be of type `text`.';
+  if (key === REASON_FIELD_KEY && type !== FIELD_TYPES.TEXT && type !== FIELD_TYPES.PARAGRAPH) {
+    return 'The reason field must be of type `text` or `paragraph`.';
+  }
+
+  if (type === FIELD_TYPES.TEXT || type === FIELD_TYPES.PARAGRAPH) {
+    if (min != null && (min < 0 || min > MAX_ANSWER_LENGTH)) return `Minimum length must be 0-${MAX_ANSWER_LENGTH}.`;
+    if (max != null && (max < 1 || max > MAX_ANSWER_LENGTH)) return `Maximum length must be 1-${MAX_ANSWER_LENGTH}.`;
+  }
+  if (min != null && max != null && min > max) return 'Minimum cannot be larger than maximum.';
+  if (type === FIELD_TYPES.CHOICE) {
+    if (!choices || choices.length < 2 || choices.length > MAX_CHOICES) return `A choice field needs 2-${MAX_CHOICES} choices.`;
+    if (choices.some((c) => !c || c.length > 50)) return 'Each choice must be 1-50 characters.';
+  }
+  return null;
+}
+
+/** Problems with a whole form, or null. */
+export function validateForm(form) {
+  if (form.fields.length > MAX_FORM_FIELDS) return `A form can have at most ${MAX_FORM_FIELDS} fields.`;
+  if (!form.fields.some((f) => f.key === LR_FIELD_KEY)) return `Every form needs the \`${LR_FIELD_KEY}\` field.`;
+  return form.fields.map(validateFieldDef).find(Boolean) ?? null;
+}
+
+/* =========================
+   MODAL
+   ========================= */
+function placeholderFor(field) {
+  if (field.placeholder) return field.placeholder;
+  if (field.type === FIELD_TYPES.DATE) return 'YYYY-MM-DD';
+  if (field.type === FIELD_TYPES.CHOICE) return `One of: ${field.choices.join(', ')}`.slice(0, 100);
+  if (field.type === FIELD_TYPES.NUMBER && field.min != null && field.max != null) return `${field.min}-${field.max}`;
+  return null;
+}
+
+function buildInput(field, value) {
+  const isText = field.type === FIELD_TYPES.TEXT || field.type === FIELD_TYPES.PARAGRAPH;
+  const input = new TextInputBuilder()
+    .setCustomId(field.key)
+    .setLabel(field.label)
+    .setStyle(field.type === FIELD_TYPES.PARAGRAPH ? TextInputStyle.Paragraph : TextInputStyle.Short)
+    .setRequired(Boolean(field.required))
+    .setMaxLength(isText ? field.max ?? MAX_ANSWER_LENGTH : field.type === FIELD_TYPES.CHOICE ? 50 : 32);
+  if (isText && field.min) input.setMinLength(field.min);
+  const placeholder = placeholderFor(field);
+  if (placeholder) input.setPlaceholder(placeholder);
+  if (value) input.setValue(String(value));
+  return new ActionRowBuilder().addComponents(input);
+}
+
+/** Modal for `fields`, prefilled from `values` ({ key: value }) when editing. */
+export function buildFormModal(customId, title, fields, values = {}) {
+  return new ModalBuilder()
+    .setCustomId(customId)
+    .setTitle(title.slice(0, 45))
+    .addComponents(fields.map((f) => buildInput(f, values[f.key])));
+}
+
+/* =========================
+   ANSWERS
+   ========================= */
+/** Check and normalize one answer. Returns { ok, value } or { ok: false, reason }. */
+export function parseAnswer(field, raw) {
+  const text = (raw ?? '').trim();
+  if (!text) {
+    return field.required ? { ok: false, reason: `**${field.label}** is required.` } : { ok: true, value: null };
+  }
+
+  if (field.type === FIELD_TYPES.NUMBER) {
+    const n = Number(text);
+    if (!Number.isFinite(n)) return { ok: false, reason: `**${field.label}** must be a number.` };
+    if ((field.min != null && n < field.min) || (field.max != null && n > field.max)) {
+      return { ok: false, reason: `**${field.label}** must be between ${field.min ?? '-∞'} and ${field.max ?? '∞'}.` };
+    }
+    return { ok: true, value: String(n) };
+  }
+  if (field.type === FIELD_TYPES.DATE) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    const ms = m ? Date.UTC(+m[1], +m[2] - 1, +m[3]) : NaN;
+    if (!m || new Date(ms).toISOString().slice(0, 10) !== text) {
+      return { ok: false, reason: `**${field.label}** must be a date like 2024-05-31.` };
+    }
+    return { ok: true, value: text };
+  }
+  if (field.type === FIELD_TYPES.CHOICE) {
+    const hit = field.choices.find((c) => c.toLowerCase() === text.toLowerCase());
+    if (!hit) return { ok: false, reason: `**${field.label}** must be one of: ${field.choices.join(', ')}.` };
+    return { ok: true, value: hit };
+  }
+  // Discord enforces the limits in the modal; the form may have changed since it was opened
+  if ((field.min && text.length < field.min) || text.length > (field.max ?? MAX_ANSWER_LENGTH)) {
+    return { ok: false, reason: `**${field.label}** must be ${field.min ?? 0}-${field.max ?? MAX_ANSWER_LENGTH} characters.` };
+  }
+  return { ok: true, value: text };
+}
+
+/**
+ * Read a submitted form modal. Returns { ok, answers } where answers snapshot
+ * each field with its value, or { ok: false, reason } for the first bad answer.
+ */
+export function readFormSubmission(interaction, fields) {
+  const answers = [];
+  for (const field of fields) {
+    let raw;
+    try {
+      raw = interaction.fields.getTextInputValue(field.key);
+    } catch {
+      return { ok: false, reason: 'The form changed while you were filling it in. Please start again.' };
+    }
+    const parsed = parseAnswer(field, raw);
+    if (!parsed.ok) return parsed;
+    answers.push({ ...field, value: parsed.value });
+  }
+  return { ok: true, answers };
+}
+
+export const answerValue = (answers, key) => answers.find((a) => a.key === key)?.value ?? null;
+
+/** What a recommendation was submitted with; posts from before templates get the default fields. */
+export function answersOf(rec) {
+  if (rec.answers_json) {
+    try {
+      return JSON.parse(rec.answers_json);
+    } catch {
+      /* fall through */
+    }
+  }
+  const legacy = { [LR_FIELD_KEY]: rec.lrUsername, [REASON_FIELD_KEY]: rec.reason };
+  return DEFAULT_FIELDS.map((f) => ({ ...f, value: legacy[f.key] ?? null }));
+}
+
+/** Embed fields for answers beyond the LR username and reason, which the embed shows itself. */
+export function buildAnswerFields(rec) {
+  if (!rec.answers_json) return [];
+  return answersOf(rec)
+    .filter((a) => a.key !== LR_FIELD_KEY && a.key !== REASON_FIELD_KEY)
+    .map((a) => ({
+      name: a.label,
+      value: a.value || '—',
+      inline: a.type !== FIELD_TYPES.PARAGRAPH,
+    }));
+}
@@ -0,0 +1,57 @@
+import {
+  REC_STATUS,
+  createRecommendation,
+  getBg,
+  getDoneSet,
+  getMsgRefs,
+  getRecommendationByMessage,
+  newRecommendationId,
+} from './db.js';
+import { adoptLegacyPoll } from './polls.js';
+
+/* =========================
+   LEGACY POSTS
+   ========================= */
+/**
+ * Fetch the recommendation record for an origin message. Posts made before the
+ * recommendations table existed are imported once from their embed.
+ */
+export async function loadRecommendation(client, originMessageId) {
+  const rec = getRecommendationByMessage(originMessageId);
+  if (rec) return rec;
+
+  const refs = getMsgRefs(originMessageId);
+  const originRef = refs.find((r) => r.messageId === originMessageId);
+  if (!originRef) return null;
+  const ch = await client.channels.fetch(originRef.channelId).catch(() => null);
+  const msg = ch ? await ch.messages.fetch(originMessageId).catch(() => null) : null;
+  const emb = msg?.embeds?.[0];
+  if (!emb) return null;
+
+  const field = (name) => emb.fields?.find((f) => (f.name || '').toLowerCase() === name)?.value;
+  const bgStatus = (getBg(originMessageId).status || '').toUpperCase();
+  const obsCount = getDoneSet(originMessageId).size;
+  let status = REC_STATUS.SUBMITTED;
+  if (bgStatus === 'FAIL') status = REC_STATUS.BG_FAIL;
+  // posts from before tracks always took three observations
+  else if (obsCount >= 3 && refs.length > 1) status = REC_STATUS.POLLING;
+  else if (obsCount > 0) status = REC_STATUS.OBSERVING;
+  else if (bgStatus === 'PASS') status = REC_STATUS.BG_PASS;
+
+  const imported = createRecommendation({
+    id: newRecommendationId(),
+    originMessageId,
+    channelId: msg.channelId,
+    guildId: msg.guildId,
+    recommenderId: (field('recommender') || '').replace(/\D/g, '') || 'unknown',
+    lrUsername: field('lr username') || '—',
+    reason: field('reason') || null,
+    proofUrl: emb.image?.url || null,
+    sourceGuildName: (emb.footer?.text || '').replace(/^Submitted from:\s*/, '') || null,
+    status,
+    createdAt: msg.createdTimestamp,
+  });
+  // the other ref is the poll copy; without a polls row nothing would ever close it
+  if (status === REC_STATUS.POLLING) adoptLegacyPoll(originMessageId, refs.find((r) => r.messageId !== originMessageId));
+  return imported;
+}
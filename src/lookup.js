@@ -0,0 +1,158 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from 'discord.js';
+import {
+  REC_STATUS,
+  findRecommendationsByLrUsername,
+  findRecommendationsByRecommender,
+  getBg,
+  getMsgRefs,
+  getObservations,
+  getPoll,
+  getSponsors,
+  getThreadRef,
+  getVoteTally,
+} from './db.js';
+import { buildChecklistLines, criteriaForCheck } from './criteria.js';
+import { trackOf } from './settings.js';
+import { observationSlots } from './tracks.js';
+
+const HISTORY_PAGE_SIZE = 5;
+
+export const STAGE_LABEL = {
+  [REC_STATUS.SUBMITTED]: '📨 Submitted — awaiting background check',
+  [REC_STATUS.BG_PASS]: '✅ Background check passed — awaiting observations',
+  [REC_STATUS.BG_FAIL]: '❌ Background check failed',
+  [REC_STATUS.OBSERVING]: '👀 Observing',
+  [REC_STATUS.POLLING]: '🗳️ Promotion poll open',
+  [REC_STATUS.ACCEPTED]: '🎉 Accepted',
+  [REC_STATUS.REJECTED]: '❌ Rejected',
+  [REC_STATUS.NO_QUORUM]: '⚪ Poll closed without quorum',
+  [REC_STATUS.WITHDRAWN]: '↩️ Withdrawn',
+  [REC_STATUS.EXPIRED]: '⌛ Expired — no progress',
+};
+
+/* =========================
+   HELPERS
+   ========================= */
+function ts(ms, style = 'f') {
+  return ms ? `<t:${Math.floor(ms / 1000)}:${style}>` : '—';
+}
+
+function jumpLink(client, rec, { channelId, messageId }) {
+  const guildId = client.channels.cache.get(channelId)?.guildId ?? rec.guildId;
+  return `https://discord.com/channels/${guildId}/${channelId}/${messageId}`;
+}
+
+/** ◀ / ▶ row; `prefix` and `suffix` wrap the page number in the customId. */
+function buildPagerRow(prefix, page, pageCount, suffix) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${prefix}:${page - 1}:${suffix}`)
+      .setLabel('◀ Prev')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page <= 0),
+    new ButtonBuilder()
+      .setCustomId(`${prefix}:${page + 1}:${suffix}`)
+      .setLabel('Next ▶')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pageCount - 1)
+  );
+}
+
+function clampPage(page, pageCount) {
+  return Math.min(Math.max(Number(page) || 0, 0), Math.max(pageCount - 1, 0));
+}
+
+/* =========================
+   /recstatus (one recommendation per page)
+   ========================= */
+function buildStatusEmbed(client, rec) {
+  const origin = rec.originMessageId;
+
+  const bg = getBg(origin);
+  const bgStatus = (bg.status || '').toUpperCase();
+  let bgValue = 'Not started';
+  if (bgStatus === 'PASS' || bgStatus === 'FAIL') {
+    bgValue = [`**${bgStatus}**`, ...buildChecklistLines(JSON.parse(bg.selected_json || '[]'), criteriaForCheck(bg))].join('\n');
+  } else if (bg.selected_json) {
+    bgValue = 'In progress';
+  }
+
+  const obs = new Map(getObservations(origin).map((o) => [o.idx, o]));
+  const track = trackOf(rec);
+  const obsLines = observationSlots(track).map((i) => {
+    const o = obs.get(Number(i));
+    return o ? `**${i}.** <@${o.byUserId}> — ${o.date || ts(o.createdAt, 'd')}` : `**${i}.** —`;
+  });
+
+  const poll = getPoll(origin);
+  let pollValue = track.poll ? 'Not opened' : 'Not needed on this track';
+  if (poll) {
+    const { yes, no, total } = getVoteTally(origin);
+    pollValue =
+      poll.status === 'closed'
+        ? `**${(poll.outcome || '').replace('_', ' ').toUpperCase()}** — Yes: ${yes} • No: ${no} (closed ${ts(poll.closedAt, 'R')})`
+        : `Open — ${total} vote(s) cast, closes ${ts(poll.closesAt, 'R')}`;
+  }
+
+  const links = getMsgRefs(origin).map((ref) => {
+    const label = ref.messageId === origin ? 'Recommendation' : poll?.messageId === ref.messageId ? 'Promotion poll' : 'Copy';
+    return `[${label}](${jumpLink(client, rec, ref)})`;
+  });
+  const thread = getThreadRef(origin);
+  if (thread) links.push(`[Discussion](https://discord.com/channels/${rec.guildId}/${thread.channelId})`);
+
+  const recommenders = [rec.recommenderId, ...getSponsors(rec.id).map((s) => s.userId)];
+
+  return new EmbedBuilder()
+    .setTitle(`${rec.lrUsername} — Recommendation ${rec.id}`)
+    .setColor(0x5865f2)
+    .addFields(
+      { name: 'Stage', value: STAGE_LABEL[rec.status] ?? rec.status, inline: false },
+      { name: 'Recommender', value: recommenders.map((id) => `<@${id}>`).join(', '), inline: true },
+      { name: 'Submitted', value: ts(rec.createdAt), inline: true },
+      { name: 'Background Check', value: bgValue, inline: false },
+      { name: 'Observations', value: obsLines.join('\n') || 'Not needed on this track', inline: false },
+      { name: 'Promotion Poll', value: pollValue, inline: false },
+      { name: 'Messages', value: links.join(' • ') || '—', inline: false }
+    );
+}
+
+// `guildId` is the department guild, so other servers' candidates never show up
+export function buildRecStatusPage(client, guildId, lrUsername, page = 0) {
+  const recs = findRecommendationsByLrUsername(guildId, lrUsername);
+  if (!recs.length) return { content: `No recommendations found for **${lrUsername}**.`, embeds: [], components: [] };
+
+  const p = clampPage(page, recs.length);
+  const embed = buildStatusEmbed(client, recs[p]).setFooter({ text: `Recommendation ${p + 1}/${recs.length}` });
+  return {
+    content: null,
+    embeds: [embed],
+    components: recs.length > 1 ? [buildPagerRow('recstatus:page', p, recs.length, lrUsername)] : [],
+  };
+}
+
+/* =========================
+   /rechistory (5 recommendations per page)
+   ========================= */
+export function buildRecHistoryPage(client, guildId, recommenderId, page = 0) {
+  const recs = findRecommendationsByRecommender(guildId, recommenderId);
+  if (!recs.length) return { content: `<@${recommenderId}> has not made any recommendations yet.`, embeds: [], components: [] };
+
+  const pageCount = Math.ceil(recs.length / HISTORY_PAGE_SIZE);
+  const p = clampPage(page, pageCount);
+  const lines = recs.slice(p * HISTORY_PAGE_SIZE, (p + 1) * HISTORY_PAGE_SIZE).map((rec) => {
+    const link = `[jump](${jumpLink(client, rec, { channelId: rec.channelId, messageId: rec.originMessageId })})`;
+    return `**${rec.lrUsername}** \`${rec.id}\` — ${STAGE_LABEL[rec.status] ?? rec.status}\n${ts(rec.createdAt, 'd')} • ${link}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle('Recommendation History')
+    .setColor(0x5865f2)
+    .setDescription([`Recommender: <@${recommenderId}> • ${recs.length} total`, '', ...lines].join('\n'))
+    .setFooter({ text: `Page ${p + 1}/${pageCount}` });
+  return {
+    content: null,
+    embeds: [embed],
+    components: pageCount > 1 ? [buildPagerRow('rechistory:page', p, pageCount, recommenderId)] : [],
+  };
+}
@@ -0,0 +1,113 @@
+import { ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } from 'discord.js';
+import { AUDIT, audit } from './audit.js';
+import {
+  OPEN_STATUSES,
+  REC_STATUS,
+  closePollRecord,
+  getRecommendation,
+  getRevisions,
+  reviseRecommendation,
+  setRecommendationStatus,
+} from './db.js';
+import { findDuplicate, normalizeLrUsername } from './duplicates.js';
+import { LR_FIELD_KEY, REASON_FIELD_KEY, answerValue, answersOf, buildFormModal, readFormSubmission } from './forms.js';
+import { STAGE, ensureAllowed } from './permissions.js';
+import { verifyLrUsername } from './roblox.js';
+import { editAllMessagesFromDb } from './views.js';
+
+/* =========================
+   EDIT / WITHDRAW (recommender or admin)
+   ========================= */
+/** Route middleware for `rec:<action>:<recId>`: load an open recommendation the user may change into ctx.rec. */
+export async function withOpenRecommendation(ctx, next) {
+  const { interaction } = ctx;
+  const rec = getRecommendation(ctx.params.recId);
+  if (!rec) return interaction.reply({ ephemeral: true, content: '❌ Recommendation record not found.' });
+  if (!(await ensureAllowed(interaction, STAGE.MANAGE, { rec }))) return;
+  if (!OPEN_STATUSES.has(rec.status)) {
+    return interaction.reply({ ephemeral: true, content: '⚠️ This recommendation is closed and can no longer be changed.' });
+  }
+  ctx.rec = rec;
+  return next();
+}
+
+// the form it was submitted with, without the answers
+const fieldsOf = (answers) => answers.map(({ value, ...field }) => field);
+
+/** Edit -> the form it was submitted with, prefilled with its answers. */
+export async function handleEditButton({ interaction, rec }) {
+  const current = answersOf(rec);
+  const values = Object.fromEntries(current.map((a) => [a.key, a.value]));
+  return interaction.showModal(buildFormModal(`rec:editmodal:${rec.id}`, 'Edit Recommendation', fieldsOf(current), values));
+}
+
+// routed behind deferEphemeral: a new username is looked up again, like on submit
+export async function handleEditSubmit({ interaction, client, rec }) {
+  const current = answersOf(rec);
+  const submitted = readFormSubmission(interaction, fieldsOf(current));
+  if (!submitted.ok) return interaction.editReply({ content: `❌ ${submitted.reason}` });
+  const lrUsername = normalizeLrUsername(answerValue(submitted.answers, LR_FIELD_KEY));
+  if (!lrUsername) return interaction.editReply({ content: '❌ LR username cannot be empty.' });
+  if (lrUsername === rec.lrUsername && submitted.answers.every((a, i) => a.value === current[i].value)) {
+    return interaction.editReply({ content: 'ℹ️ Nothing changed.' });
+  }
+
+  const changes = { lrUsername, reason: answerValue(submitted.answers, REASON_FIELD_KEY) ?? '' };
+  if (lrUsername !== rec.lrUsername) {
+    const verified = await verifyLrUsername(lrUsername);
+    if (!verified.ok) return interaction.editReply({ content: `❌ ${verified.reason}` });
+    changes.lrUsername = verified.account?.name ?? lrUsername;
+    changes.roblox = verified.account;
+  }
+  changes.answers = submitted.answers.map((a) => (a.key === LR_FIELD_KEY ? { ...a, value: changes.lrUsername } : a));
+
+  if (changes.lrUsername.toLowerCase() !== rec.lrUsername.toLowerCase()) {
+    const dup = findDuplicate(rec.guildId, changes.lrUsername, { excludeId: rec.id });
+    if (dup?.kind === 'open') {
+      return interaction.editReply({
+        content: `❌ **${dup.rec.lrUsername}** already has an open recommendation (\`${dup.rec.id}\`).`,
+      });
+    }
+  }
+
+  const updated = reviseRecommendation(rec.id, interaction.user.id, changes);
+  audit(client, {
+    actorId: interaction.user.id,
+    action: AUDIT.REC_EDIT,
+    recommendationId: rec.id,
+    before: { lrUsername: rec.lrUsername, reason: rec.reason },
+    after: { lrUsername: updated.lrUsername, reason: updated.reason },
+  });
+  await editAllMessagesFromDb(client, rec.originMessageId);
+  return interaction.editReply({
+    content: `✏️ Recommendation \`${rec.id}\` updated (revision ${getRevisions(rec.id).length}).`,
+  });
+}
+
+/** Withdraw -> modal doubles as the confirmation step. */
+export async function handleWithdrawButton({ interaction, rec }) {
+  const modal = new ModalBuilder().setCustomId(`rec:withdrawmodal:${rec.id}`).setTitle('Withdraw Recommendation');
+  const reasonInput = new TextInputBuilder()
+    .setCustomId('reason')
+    .setLabel(`Withdraw ${rec.lrUsername}? Reason (optional)`.slice(0, 45))
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(false)
+    .setMaxLength(500);
+  return interaction.showModal(modal.addComponents(new ActionRowBuilder().addComponents(reasonInput)));
+}
+
+// routed behind deferEphemeral: every copy of the post is re-rendered
+export async function handleWithdrawSubmit({ interaction, client, rec }) {
+  const reason = (interaction.fields.getTextInputValue('reason') || '').trim();
+  setRecommendationStatus(rec.originMessageId, REC_STATUS.WITHDRAWN);
+  closePollRecord(rec.originMessageId, 'withdrawn'); // no-op unless a poll is open
+  audit(client, {
+    actorId: interaction.user.id,
+    action: AUDIT.REC_WITHDRAW,
+    recommendationId: rec.id,
+    before: { status: rec.status },
+    after: { status: REC_STATUS.WITHDRAWN, reason: reason || null },
+  });
+  await editAllMessagesFromDb(client, rec.originMessageId);
+  return interaction.editReply({ content: `↩️ Recommendation \`${rec.id}\` withdrawn.` });
+}
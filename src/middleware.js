@@ -0,0 +1,56 @@
+import { loadRecommendation } from './legacy.js';
+import { ensureAllowed } from './permissions.js';
+
+/* =========================
+   ROUTE MIDDLEWARE
+   ========================= */
+// Shared (ctx, next) steps for router.js routes.
+
+/** Log a failed handler and tell the user, instead of leaving the interaction hanging. */
+export async function catchErrors(ctx, next) {
+  try {
+    await next();
+  } catch (err) {
+    console.error(err);
+    const { interaction } = ctx;
+    if (!interaction.isRepliable()) return;
+    try {
+      const content = '❌ Something went wrong.';
+      if (interaction.deferred || interaction.replied) await interaction.followUp({ ephemeral: true, content });
+      else await interaction.reply({ ephemeral: true, content });
+    } catch {}
+  }
+}
+
+/**
+ * Load the recommendation a component belongs to into `ctx.rec`: the
+ * `originId` param, or the message the button sits on. Older posts are
+ * imported on first use (see legacy.js).
+ */
+export async function withRecommendation(ctx, next) {
+  const originMessageId = ctx.params.originId ?? ctx.interaction.message?.id;
+  ctx.rec = originMessageId ? await loadRecommendation(ctx.client, originMessageId) : null;
+  return next();
+}
+
+/**
+ * Continue only if the user may act on `stage`. Uses `ctx.rec` and the
+ * `idx` param for the conflict-of-interest rules; the denial is sent here.
+ */
+export function allow(stage) {
+  return async (ctx, next) => {
+    if (await ensureAllowed(ctx.interaction, stage, { rec: ctx.rec ?? undefined, obsIdx: ctx.params.idx })) return next();
+  };
+}
+
+/** Defer an ephemeral reply for handlers that do slow work first; they answer with editReply. */
+export async function deferEphemeral(ctx, next) {
+  await ctx.interaction.deferReply({ ephemeral: true });
+  return next();
+}
+
+/** Same for a component whose own message is the answer; editReply then rewrites that message. */
+export async function deferUpdate(ctx, next) {
+  await ctx.interaction.deferUpdate();
+  return next();
+}
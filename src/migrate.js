@@ -0,0 +1,35 @@
+import 'dotenv/config';
+import Database from 'better-sqlite3';
+import { getMigrationStatus, runMigrations } from './migrations/index.js';
+
+// Usage: npm run migrate [-- --status] [-- --dry-run]
+// The bot migrates on boot too; this is for checking a database before deploying.
+const { DB_PATH } = process.env;
+const args = new Set(process.argv.slice(2));
+const file = DB_PATH || './recruitment.db';
+
+let db;
+try {
+  db = new Database(file, { fileMustExist: args.has('--status') || args.has('--dry-run') });
+  const { current, applied, pending } = getMigrationStatus(db);
+
+  const when = (at) => new Date(at).toISOString().replace('T', ' ').slice(0, 16);
+  console.log(`Schema of ${file}: version ${current}`);
+  for (const m of applied) console.log(`  applied  ${String(m.version).padStart(3, '0')} ${m.name} (${when(m.appliedAt)})`);
+  for (const m of pending) console.log(`  pending  ${String(m.version).padStart(3, '0')} ${m.name}`);
+
+  if (args.has('--status')) {
+    // status only
+  } else if (!pending.length) {
+    console.log('✅ Already up to date.');
+  } else {
+    const res = runMigrations(db, { dryRun: args.has('--dry-run') });
+    if (res.dryRun) console.log(`ℹ️ Dry run — ${res.applied.length} migration(s) ran cleanly and were rolled back.`);
+    else console.log(`✅ Migrated from version ${res.from} to ${res.to}.`);
+  }
+} catch (err) {
+  console.error('❌ Migration failed:', err);
+  process.exitCode = 1;
+} finally {
+  db?.close();
+}
@@ -0,0 +1,218 @@
+/* =========================
+   001 BASELINE
+   ========================= */
+// The schema as it stood before versioned migrations. Databases from that time
+// already have some of it: existing tables are left alone and the columns added
+// since then are filled in, so this runs cleanly on old and new files alike.
+
+function addColumnIfMissing(db, table, column, definition) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!cols.some((c) => c.name === column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS recommendations (
+      id TEXT PRIMARY KEY,             -- stable recommendation ID (e.g. 'A1B2C3D4')
+      originMessageId TEXT UNIQUE,     -- the posted recommendation message
+      channelId TEXT,
+      guildId TEXT,
+      recommenderId TEXT NOT NULL,
+      lrUsername TEXT NOT NULL,
+      reason TEXT,
+      proofUrl TEXT,
+      sourceGuildName TEXT,            -- guild the /recommend was run from
+      status TEXT NOT NULL,            -- see REC_STATUS
+      createdAt INTEGER,
+      updatedAt INTEGER
+    );
+
+    -- every edit made to a recommendation after it was posted
+    CREATE TABLE IF NOT EXISTS recommendation_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recommendationId TEXT NOT NULL,
+      editorId TEXT NOT NULL,
+      before_json TEXT,
+      after_json TEXT,
+      at INTEGER NOT NULL
+    );
+
+    -- extra supervisors who recommended the same LR user while it was open
+    CREATE TABLE IF NOT EXISTS recommendation_sponsors (
+      recommendationId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      reason TEXT,
+      addedAt INTEGER,
+      PRIMARY KEY (recommendationId, userId)
+    );
+
+    CREATE TABLE IF NOT EXISTS bg_checks (
+      messageId TEXT PRIMARY KEY,
+      status TEXT,                -- 'PASS' | 'FAIL' | NULL
+      selected_json TEXT,         -- '["age","safechat",...]'
+      criteria_json TEXT,         -- snapshot of the criteria the check was done against
+      updatedAt INTEGER
+    );
+
+    -- recommendation forms (/recform); a guild without rows gets the built-in default
+    CREATE TABLE IF NOT EXISTS form_templates (
+      guildId TEXT NOT NULL,
+      name TEXT NOT NULL,              -- 'default' is used when /recommend names no form
+      title TEXT NOT NULL,             -- modal title
+      requirements TEXT,               -- markdown; {criteria} expands to the BG criteria
+      fields_json TEXT NOT NULL,       -- [{ key, label, type, required, min, max, choices, placeholder }]
+      updatedBy TEXT,
+      updatedAt INTEGER,
+      PRIMARY KEY (guildId, name)
+    );
+
+    -- one row per department guild, written by /setup; guilds without a row use the env vars
+    CREATE TABLE IF NOT EXISTS guild_settings (
+      guildId TEXT PRIMARY KEY,
+      recommendChannelId TEXT,
+      pollsChannelId TEXT,
+      pingRoleId TEXT,
+      voteYesEmoji TEXT,
+      voteNoEmoji TEXT,
+      roles_json TEXT,                 -- { <STAGE>: [roleId, ...] }, see permissions.js
+      updatedBy TEXT,
+      updatedAt INTEGER
+    );
+
+    -- per-guild background check criteria (seeded with the defaults on first read)
+    CREATE TABLE IF NOT EXISTS bg_criteria (
+      guildId TEXT NOT NULL,
+      key TEXT NOT NULL,
+      label TEXT NOT NULL,
+      description TEXT,
+      required INTEGER NOT NULL DEFAULT 1,
+      position INTEGER NOT NULL,
+      PRIMARY KEY (guildId, key)
+    );
+
+    CREATE TABLE IF NOT EXISTS observations (
+      messageId TEXT NOT NULL,
+      idx INTEGER NOT NULL,       -- 1..n, n set by the recommendation's track
+      username TEXT,
+      date TEXT,
+      notes TEXT,
+      issues TEXT,
+      byUserId TEXT,
+      createdAt INTEGER,
+      PRIMARY KEY (messageId, idx)
+    );
+
+    -- superseded BG checks / observations (admin reopen / void), newest last
+    CREATE TABLE IF NOT EXISTS bg_checks_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      messageId TEXT NOT NULL,
+      status TEXT,
+      selected_json TEXT,
+      criteria_json TEXT,
+      updatedAt INTEGER,
+      supersededBy TEXT NOT NULL,
+      supersededReason TEXT NOT NULL,
+      supersededAt INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS observations_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      messageId TEXT NOT NULL,
+      idx INTEGER NOT NULL,
+      username TEXT,
+      date TEXT,
+      notes TEXT,
+      issues TEXT,
+      byUserId TEXT,
+      createdAt INTEGER,
+      supersededBy TEXT NOT NULL,
+      supersededReason TEXT NOT NULL,
+      supersededAt INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS polls (
+      originMessageId TEXT PRIMARY KEY,
+      channelId TEXT NOT NULL,         -- where the poll copy was posted
+      messageId TEXT NOT NULL,
+      status TEXT NOT NULL,            -- 'open' | 'closed'
+      outcome TEXT,                    -- 'accepted' | 'rejected' | 'no_quorum' | NULL
+      quorum INTEGER NOT NULL,         -- min. votes cast, fixed when the poll opens
+      openedAt INTEGER,
+      closesAt INTEGER NOT NULL,
+      closedAt INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS poll_votes (
+      originMessageId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      vote TEXT NOT NULL,              -- 'yes' | 'no'
+      votedAt INTEGER,
+      PRIMARY KEY (originMessageId, userId)
+    );
+
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      at INTEGER NOT NULL,
+      actorId TEXT,                    -- Discord user id, or 'system' for scheduled actions
+      action TEXT NOT NULL,            -- see AUDIT in audit.js
+      recommendationId TEXT,
+      before_json TEXT,
+      after_json TEXT
+    );
+    CREATE INDEX IF NOT EXISTS audit_events_at ON audit_events (at);
+
+    -- per-user DM preference; no row means DMs are on
+    CREATE TABLE IF NOT EXISTS notification_prefs (
+      userId TEXT PRIMARY KEY,
+      dmOptOut INTEGER NOT NULL DEFAULT 0,
+      updatedAt INTEGER
+    );
+
+    -- delayed work (reminders, escalations, expiry); see scheduler.js
+    CREATE TABLE IF NOT EXISTS scheduled_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,              -- see JOB in reminders.js
+      dedupeKey TEXT UNIQUE,           -- scheduling the same key again moves the existing job
+      originMessageId TEXT,
+      payload_json TEXT,
+      runAt INTEGER NOT NULL,
+      status TEXT NOT NULL,            -- 'pending' | 'done' | 'failed'
+      attempts INTEGER NOT NULL DEFAULT 0,
+      lastError TEXT,
+      createdAt INTEGER,
+      finishedAt INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS scheduled_jobs_due ON scheduled_jobs (status, runAt);
+
+    -- /recommend upload -> modal handoff; rows past expiresAt are dead and swept
+    CREATE TABLE IF NOT EXISTS proof_stash (
+      token TEXT PRIMARY KEY,          -- the slash command interaction id
+      fileName TEXT,
+      url TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      createdAt INTEGER NOT NULL,
+      expiresAt INTEGER NOT NULL
+    );
+
+    -- store all messages we must keep in sync (original + polls)
+    CREATE TABLE IF NOT EXISTS message_refs (
+      originMessageId TEXT NOT NULL,   -- the original recommendation messageId
+      channelId TEXT NOT NULL,
+      messageId TEXT NOT NULL,
+      PRIMARY KEY (originMessageId, messageId)
+    );
+  `);
+
+  addColumnIfMissing(db, 'bg_checks', 'criteria_json', 'TEXT');
+  addColumnIfMissing(db, 'recommendations', 'proofSha256', 'TEXT'); // archived copy, see proofs.js
+  addColumnIfMissing(db, 'recommendations', 'proofMime', 'TEXT');
+  addColumnIfMissing(db, 'recommendations', 'candidateUserId', 'TEXT'); // candidate's Discord account, if given
+  addColumnIfMissing(db, 'proof_stash', 'candidateUserId', 'TEXT');
+  addColumnIfMissing(db, 'recommendations', 'robloxUserId', 'TEXT'); // set when the LR username was verified
+  addColumnIfMissing(db, 'recommendations', 'robloxCreatedAt', 'INTEGER');
+  addColumnIfMissing(db, 'recommendations', 'formName', 'TEXT'); // null = posted before form templates
+  addColumnIfMissing(db, 'recommendations', 'answers_json', 'TEXT'); // [{ ...field, value }] as submitted, see forms.js
+  addColumnIfMissing(db, 'proof_stash', 'formName', 'TEXT');
+  addColumnIfMissing(db, 'recommendations', 'track', 'TEXT'); // see tracks.js; null = the default track
+  addColumnIfMissing(db, 'proof_stash', 'track', 'TEXT');
+}
@@ -0,0 +1,16 @@
+/* =========================
+   002 BG STATUS + OBSERVATION USERNAME
+   ========================= */
+// The bot has always written 'FAIL', but the schema said 'FAILED'; make any row
+// written by hand or by an older tool match what the embeds look for.
+// observations.username was never filled in (byUserId is who observed), so drop it.
+
+export function up(db) {
+  db.exec(`
+    UPDATE bg_checks SET status='FAIL' WHERE upper(status)='FAILED';
+    UPDATE bg_checks_history SET status='FAIL' WHERE upper(status)='FAILED';
+
+    ALTER TABLE observations DROP COLUMN username;
+    ALTER TABLE observations_history DROP COLUMN username;
+  `);
+}
@@ -0,0 +1,11 @@
+/* =========================
+   003 MESSAGE REF KIND
+   ========================= */
+// message_refs also links each recommendation's discussion thread (see threads.js).
+// A thread row has channelId = messageId = the thread's ID; every existing row is a post.
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE message_refs ADD COLUMN kind TEXT NOT NULL DEFAULT 'post'; -- 'post' | 'thread'
+  `);
+}
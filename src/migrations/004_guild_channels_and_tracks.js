@@ -0,0 +1,16 @@
+/* =========================
+   004 GUILD CHANNELS + TRACKS
+   ========================= */
+// The audit log, weekly digest and escalation channels, the recruitment lead
+// roles and the track list become per-guild settings (see settings.js). Null
+// columns fall back to the env vars for the DEPT_GUILD_ID department only.
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE guild_settings ADD COLUMN auditChannelId TEXT;
+    ALTER TABLE guild_settings ADD COLUMN digestChannelId TEXT;
+    ALTER TABLE guild_settings ADD COLUMN escalationChannelId TEXT;
+    ALTER TABLE guild_settings ADD COLUMN leadRoles_json TEXT;   -- [roleId, ...] pinged on SLA escalation
+    ALTER TABLE guild_settings ADD COLUMN tracks_json TEXT;      -- same list TRACKS_FILE holds, see tracks.js
+  `);
+}
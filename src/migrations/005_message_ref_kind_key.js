@@ -0,0 +1,24 @@
+/* =========================
+   005 MESSAGE REF KIND IN THE KEY
+   ========================= */
+// A public thread started from the post takes the post's message ID, so its
+// 'thread' row collided with the 'post' row on (originMessageId, messageId)
+// and was silently dropped. kind becomes part of the key. SQLite can't change
+// a primary key in place, so the table is rebuilt (rowid order kept).
+// Threads whose row was dropped stay unlinked; their posts are unaffected.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE message_refs_new (
+      originMessageId TEXT NOT NULL,   -- the original recommendation messageId
+      channelId TEXT NOT NULL,
+      messageId TEXT NOT NULL,
+      kind TEXT NOT NULL DEFAULT 'post', -- 'post' | 'thread'
+      PRIMARY KEY (originMessageId, messageId, kind)
+    );
+    INSERT INTO message_refs_new (originMessageId, channelId, messageId, kind)
+      SELECT originMessageId, channelId, messageId, kind FROM message_refs ORDER BY rowid;
+    DROP TABLE message_refs;
+    ALTER TABLE message_refs_new RENAME TO message_refs;
+  `);
+}
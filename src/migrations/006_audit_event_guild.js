@@ -0,0 +1,17 @@
+/* =========================
+   006 AUDIT EVENT GUILD
+   ========================= */
+// /audit export is per department, so each event records the guild it belongs
+// to: the recommendation's, else the one it happened in. Older events are
+// backfilled from their recommendation; config and data events from before this
+// have no guild and are left out of every export.
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE audit_events ADD COLUMN guildId TEXT;
+    UPDATE audit_events
+      SET guildId = (SELECT r.guildId FROM recommendations r WHERE r.id = audit_events.recommendationId)
+      WHERE recommendationId IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS audit_events_guild_at ON audit_events (guildId, at);
+  `);
+}
@@ -0,0 +1,83 @@
+import * as m001 from './001_baseline.js';
+import * as m002 from './002_bg_status_and_observer_username.js';
+import * as m003 from './003_message_ref_kind.js';
+import * as m004 from './004_guild_channels_and_tracks.js';
+import * as m005 from './005_message_ref_kind_key.js';
+import * as m006 from './006_audit_event_guild.js';
+
+/* =========================
+   SCHEMA MIGRATIONS
+   ========================= */
+// Each migration is a file NNN_name.js exporting up(db), listed here in order.
+// Applied migrations are recorded in schema_version and never run again, so
+// change the schema by adding a new file, not by editing an old one.
+export const MIGRATIONS = Object.freeze([
+  { version: 1, name: 'baseline', up: m001.up },
+  { version: 2, name: 'bg_status_and_observer_username', up: m002.up },
+  { version: 3, name: 'message_ref_kind', up: m003.up },
+  { version: 4, name: 'guild_channels_and_tracks', up: m004.up },
+  { version: 5, name: 'message_ref_kind_key', up: m005.up },
+  { version: 6, name: 'audit_event_guild', up: m006.up },
+]);
+
+function ensureVersionTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt INTEGER NOT NULL
+    );
+  `);
+}
+
+/** { current, applied: [{ version, name, appliedAt }], pending: [migration] } */
+export function getMigrationStatus(db, migrations = MIGRATIONS) {
+  ensureVersionTable(db);
+  const applied = db.prepare(`SELECT version, name, appliedAt FROM schema_version ORDER BY version`).all();
+  const done = new Set(applied.map((r) => r.version));
+  const current = applied.length ? applied[applied.length - 1].version : 0;
+  const unknown = applied.filter((r) => !migrations.some((m) => m.version === r.version));
+  if (unknown.length) {
+    // a newer build migrated this file; running older code against it is not safe
+    throw new Error(`Database is at schema version ${current}, newer than this build knows (${migrations[migrations.length - 1]?.version ?? 0}).`);
+  }
+  return { current, applied, pending: migrations.filter((m) => !done.has(m.version)) };
+}
+
+/**
+ * Apply every pending migration in order, each in its own transaction; a failure
+ * throws and leaves the earlier ones applied. With `dryRun` they all run inside
+ * one outer transaction that is rolled back, so SQL errors still show up.
+ * Returns { from, to, applied: [migration], dryRun }.
+ */
+export function runMigrations(db, { dryRun = false, migrations = MIGRATIONS } = {}) {
+  const { current, pending } = getMigrationStatus(db, migrations);
+  const applied = [];
+  const applyAll = () => {
+    for (const m of pending) {
+      try {
+        db.transaction(() => {
+          m.up(db);
+          db.prepare(`INSERT INTO schema_version (version, name, appliedAt) VALUES (?,?,?)`).run(m.version, m.name, Date.now());
+        })();
+      } catch (e) {
+        throw new Error(`Migration ${m.version} (${m.name}) failed: ${e.message}`, { cause: e });
+      }
+      applied.push(m);
+    }
+  };
+
+  if (!dryRun) applyAll();
+  else {
+    const rollback = new Error('dry run');
+    try {
+      db.transaction(() => {
+        applyAll();
+        throw rollback;
+      })();
+    } catch (e) {
+      if (e !== rollback) throw e;
+    }
+  }
+  return { from: current, to: applied.length ? applied[applied.length - 1].version : current, applied, dryRun };
+}
@@ -0,0 +1,82 @@
+import { getSponsors, isDmOptedOut } from './db.js';
+
+const {
+  CANDIDATE_ACCEPT_TEMPLATE, // placeholders: {lrUsername} {id}
+  CANDIDATE_REJECT_TEMPLATE,
+} = process.env;
+
+/* =========================
+   DM NOTIFICATIONS
+   ========================= */
+// Everything here is best-effort: closed DMs, unknown users and opted-out users
+// are skipped quietly, and callers never await the result.
+export const NOTICE = Object.freeze({
+  BG_PASS: 'bg_pass',
+  BG_FAIL: 'bg_fail',
+  OBSERVATION: 'observation',
+  POLL_OPEN: 'poll_open',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  NO_QUORUM: 'no_quorum',
+  EXPIRED: 'expired',
+});
+
+const RECOMMENDER_TEXT = {
+  [NOTICE.BG_PASS]: (r) => `✅ **${r.lrUsername}** passed the background check and is now waiting on observations.`,
+  [NOTICE.BG_FAIL]: (r) => `❌ **${r.lrUsername}** did not pass the background check.`,
+  [NOTICE.OBSERVATION]: (r, { idx, filed, needed }) => `👀 Observation ${idx} for **${r.lrUsername}** was filed (${filed}/${needed}).`,
+  [NOTICE.POLL_OPEN]: (r) => `🗳️ All observations for **${r.lrUsername}** are in; the promotion poll is open.`,
+  [NOTICE.ACCEPTED]: (r) => `🎉 **${r.lrUsername}** was accepted by the Recruitment Department.`,
+  [NOTICE.REJECTED]: (r) => `❌ **${r.lrUsername}** was not accepted by the promotion poll.`,
+  [NOTICE.NO_QUORUM]: (r) => `⚪ The promotion poll for **${r.lrUsername}** closed without enough votes.`,
+  [NOTICE.EXPIRED]: (r) => `⌛ Your recommendation for **${r.lrUsername}** expired after a long period without progress.`,
+};
+
+const DEFAULT_CANDIDATE_TEMPLATE = {
+  [NOTICE.ACCEPTED]:
+    '🎉 Congratulations, **{lrUsername}**! You were recommended for a promotion and the Recruitment Department has accepted you. Someone will be in touch with next steps.',
+  [NOTICE.REJECTED]:
+    'Hi **{lrUsername}**, you were recommended for a promotion, but it was not accepted this time. Keep up the good work. You can be recommended again later.',
+};
+
+const CANDIDATE_TEMPLATE = {
+  [NOTICE.ACCEPTED]: CANDIDATE_ACCEPT_TEMPLATE || DEFAULT_CANDIDATE_TEMPLATE[NOTICE.ACCEPTED],
+  [NOTICE.REJECTED]: CANDIDATE_REJECT_TEMPLATE || DEFAULT_CANDIDATE_TEMPLATE[NOTICE.REJECTED],
+};
+
+function fillTemplate(template, rec) {
+  return template
+    .replace(/\\n/g, '\n') // .env files can't hold real newlines
+    .replace(/\{(\w+)\}/g, (m, key) => (key === 'lrUsername' ? rec.lrUsername : key === 'id' ? rec.id : m));
+}
+
+/** DM one user unless they opted out. Resolves to true if the message went through. */
+export async function sendDm(client, userId, content) {
+  if (!userId || isDmOptedOut(userId)) return false;
+  const user = await client.users.fetch(userId).catch(() => null);
+  if (!user) return false;
+  return user
+    .send({ content, allowedMentions: { parse: [] } })
+    .then(() => true)
+    .catch(() => false);
+}
+
+/** Tell the recommender and co-sponsors that their recommendation moved on. */
+export function notifyRecommenders(client, rec, notice, extra = {}) {
+  const text = RECOMMENDER_TEXT[notice];
+  if (!rec || !text) return;
+  const content = `${text(rec, extra)}\n-# Recommendation \`${rec.id}\` • turn these off with /notifications`;
+  const userIds = new Set([rec.recommenderId, ...getSponsors(rec.id).map((s) => s.userId)]);
+  for (const userId of userIds) {
+    sendDm(client, userId, content).catch((e) => console.error('Notification DM failed:', e));
+  }
+}
+
+/** Final accept / reject message to the candidate, if their Discord account was given. */
+export function notifyCandidate(client, rec, notice) {
+  const template = CANDIDATE_TEMPLATE[notice];
+  if (!rec?.candidateUserId || !template) return;
+  sendDm(client, rec.candidateUserId, fillTemplate(template, rec)).catch((e) =>
+    console.error('Candidate DM failed:', e)
+  );
+}
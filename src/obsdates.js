@@ -0,0 +1,70 @@
+import { getObservations } from './db.js';
+
+const { OBS_MIN_GAP_DAYS } = process.env; // days between any two observations, default 1 (0 disables)
+
+const DAY_MS = 24 * 60 * 60_000;
+const MIN_GAP_DAYS = OBS_MIN_GAP_DAYS === undefined || OBS_MIN_GAP_DAYS === '' ? 1 : Number(OBS_MIN_GAP_DAYS);
+// observers can be up to UTC+14, so "today" for them may already be tomorrow in UTC
+const MAX_AHEAD_MS = 14 * 60 * 60_000;
+// ...and down to UTC-12, so their day can still be yesterday in UTC
+const MAX_BEHIND_MS = 12 * 60 * 60_000;
+
+/* =========================
+   OBSERVATION DATES
+   ========================= */
+// Stored as ISO days (YYYY-MM-DD). The modal used to prefill MM/DD/YYYY, so that
+// is still accepted, and older rows in that format are still read for the gap check.
+export function isoDay(ms = Date.now()) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function toDayMs(y, m, d) {
+  const ms = Date.UTC(y, m - 1, d);
+  const back = new Date(ms);
+  // rejects 2024-02-31 and friends, which Date.UTC would roll over
+  if (back.getUTCFullYear() !== y || back.getUTCMonth() !== m - 1 || back.getUTCDate() !== d) return null;
+  return ms;
+}
+
+function parseDayMs(value) {
+  const s = (value || '').trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (m) return toDayMs(Number(m[1]), Number(m[2]), Number(m[3]));
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (m) return toDayMs(Number(m[3]), Number(m[1]), Number(m[2]));
+  return null;
+}
+
+/**
+ * `notBefore` (ms) is when the recommendation was submitted; an observation can't
+ * predate it, or backdating could slip a slot past the gap check.
+ * Returns { ok: true, iso } or { ok: false, reason }.
+ */
+export function parseObservationDate(input, { now = Date.now(), notBefore = null } = {}) {
+  const ms = parseDayMs(input);
+  if (ms === null) return { ok: false, reason: 'Enter the date as `YYYY-MM-DD` (or `MM/DD/YYYY`).' };
+  if (ms > now + MAX_AHEAD_MS) return { ok: false, reason: 'The observation date can’t be in the future.' };
+  if (notBefore && ms < parseDayMs(isoDay(notBefore - MAX_BEHIND_MS))) {
+    return { ok: false, reason: `The observation date can’t be before the recommendation was submitted (${isoDay(notBefore)}).` };
+  }
+  return { ok: true, iso: isoDay(ms) };
+}
+
+/**
+ * Enforce OBS_MIN_GAP_DAYS against every other filed slot (slots can be filed in
+ * any order). Returns null when fine, otherwise the reason.
+ */
+export function checkObservationGap(originMessageId, idx, iso) {
+  if (!(MIN_GAP_DAYS > 0)) return null;
+  const day = parseDayMs(iso);
+  for (const o of getObservations(originMessageId)) {
+    if (String(o.idx) === String(idx)) continue;
+    const other = parseDayMs(o.date);
+    if (other === null) continue;
+    if (Math.abs(day - other) < MIN_GAP_DAYS * DAY_MS) {
+      const unit = MIN_GAP_DAYS === 1 ? 'day' : 'days';
+      return `Observation ${o.idx} was on ${isoDay(other)}; observations must be at least ${MIN_GAP_DAYS} ${unit} apart.`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,186 @@
+import { ActionRowBuilder, EmbedBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } from 'discord.js';
+import { AUDIT, audit } from './audit.js';
+import {
+  REC_STATUS,
+  countObservations,
+  getObservation,
+  getRecommendationByMessage,
+  saveObservation,
+  setRecommendationStatus,
+} from './db.js';
+import { NOTICE, notifyRecommenders } from './notify.js';
+import { checkObservationGap, isoDay, parseObservationDate } from './obsdates.js';
+import { STAGE, ensureAllowed } from './permissions.js';
+import { completeObservations } from './polls.js';
+import { scheduleClaimNudge, scheduleObservationReminder } from './reminders.js';
+import { trackOf } from './settings.js';
+import { postToThread } from './threads.js';
+import { observationSlots } from './tracks.js';
+import { editAllMessagesFromDb } from './views.js';
+
+/* =========================
+   OBSERVATIONS (one slot per track observation, DB-backed)
+   ========================= */
+// Routes: obs:start|view:<originId>:<idx> buttons and the obs:modal:<originId>:<idx> form,
+// all behind withRecommendation (ctx.rec).
+
+/** One observation as shown when viewing a slot or confirming a submit. */
+function buildObservationEmbed(idx, obs, lrUsername, { title = `Observation ${idx}` } = {}) {
+  return new EmbedBuilder()
+    .setTitle(title)
+    .setColor(0x43b581)
+    .addFields(
+      { name: 'Observer', value: obs.byUserId ? `<@${obs.byUserId}>` : '—', inline: false },
+      { name: 'Date', value: obs.date || isoDay(), inline: false },
+      { name: 'Observation Notes', value: obs.notes || '—', inline: false },
+      { name: 'Observation Issues', value: obs.issues || 'None', inline: false },
+      { name: 'Recommended Individual', value: lrUsername || '—', inline: false }
+    )
+    .setTimestamp();
+}
+
+export async function handleObsView({ interaction, params, rec }) {
+  const obs = getObservation(params.originId, params.idx);
+  if (!obs) return interaction.reply({ ephemeral: true, content: '❌ Observation not available yet.' });
+  return interaction.reply({ ephemeral: true, embeds: [buildObservationEmbed(params.idx, obs, rec?.lrUsername)] });
+}
+
+/** Start an observation, or show it if the slot was filled since the post was rendered. */
+export async function handleObsStart(ctx) {
+  const { interaction, params, rec } = ctx;
+  const { originId, idx } = params;
+  // viewing a filed slot is open to everyone, so the role check comes after this
+  if (getObservation(originId, idx)) return handleObsView(ctx);
+
+  if (!observationSlots(trackOf(rec)).includes(idx)) {
+    return interaction.reply({ ephemeral: true, content: '❌ This recommendation’s track has no such observation slot.' });
+  }
+  if (!(await ensureAllowed(interaction, STAGE.OBSERVE, { rec, obsIdx: idx }))) return;
+
+  // show modal (WITH a Date field prefilled to today)
+  const modal = new ModalBuilder().setCustomId(`obs:modal:${originId}:${idx}`).setTitle(`Observation ${idx}`);
+  const date = new TextInputBuilder()
+    .setCustomId('date')
+    .setLabel('Date (YYYY-MM-DD)')
+    .setStyle(TextInputStyle.Short)
+    .setRequired(true)
+    .setMaxLength(10)
+    .setValue(isoDay());
+
+  const notes = new TextInputBuilder()
+    .setCustomId('notes')
+    .setLabel('Observation Notes')
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(true);
+
+  const issues = new TextInputBuilder()
+    .setCustomId('issues')
+    .setLabel('Observation Issues')
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(false)
+    .setPlaceholder('If none, leave blank');
+
+  // remind them later if the form never gets submitted
+  scheduleClaimNudge(originId, idx, interaction.user.id);
+
+  return interaction.showModal(
+    modal.addComponents(
+      new ActionRowBuilder().addComponents(date),
+      new ActionRowBuilder().addComponents(notes),
+      new ActionRowBuilder().addComponents(issues)
+    )
+  );
+}
+
+/** Modal submit (FIRST-WINS; moves on once the track's observations are done). Routed behind allow(STAGE.OBSERVE) and deferEphemeral. */
+export async function handleObsSubmit({ interaction, client, params, rec }) {
+  const { originId: originMessageId, idx } = params;
+
+  if (rec?.status === REC_STATUS.WITHDRAWN || rec?.status === REC_STATUS.EXPIRED) {
+    return interaction.editReply({ content: `⚠️ This recommendation was ${rec.status}. Your observation wasn’t saved.` });
+  }
+  // the custom id can be stale (a track change) or crafted, so the slot is checked again
+  if (!observationSlots(trackOf(rec)).includes(idx)) {
+    return interaction.editReply({ content: '❌ This recommendation’s track has no such observation slot.' });
+  }
+
+  // ⛔ first-wins guard BEFORE saving
+  const existing = getObservation(originMessageId, idx);
+  if (existing) {
+    audit(client, {
+      actorId: interaction.user.id,
+      action: AUDIT.OBS_CONFLICT,
+      recommendationId: rec?.id,
+      after: { idx: Number(idx), filedBy: existing.byUserId },
+    });
+    return interaction.editReply({
+      content: `⚠️ Observation **${idx}** was already submitted by <@${existing.byUserId || 'unknown'}>. Your submission wasn’t saved.`,
+    });
+  }
+
+  // real calendar day, between submission and today, and spaced out from the other slots
+  const parsed = parseObservationDate(interaction.fields.getTextInputValue('date') || isoDay(), {
+    notBefore: rec?.createdAt,
+  });
+  if (!parsed.ok) {
+    return interaction.editReply({ content: `❌ ${parsed.reason} Your observation wasn’t saved.` });
+  }
+  const tooClose = checkObservationGap(originMessageId, idx, parsed.iso);
+  if (tooClose) {
+    return interaction.editReply({ content: `⏳ ${tooClose} Your observation wasn’t saved.` });
+  }
+  const obs = {
+    date: parsed.iso,
+    notes: (interaction.fields.getTextInputValue('notes') || '').trim().slice(0, 1024),
+    issues: (interaction.fields.getTextInputValue('issues') || '').trim().slice(0, 1024),
+    byUserId: interaction.user.id,
+  };
+
+  // save attempt; first save wins if two hit submit at the same time
+  if (!saveObservation(originMessageId, idx, obs)) {
+    const now = getObservation(originMessageId, idx);
+    audit(client, {
+      actorId: interaction.user.id,
+      action: AUDIT.OBS_CONFLICT,
+      recommendationId: rec?.id,
+      after: { idx: Number(idx), filedBy: now?.byUserId ?? null },
+    });
+    return interaction.editReply({
+      content: `⚠️ Someone submitted Observation **${idx}** just before you. Yours wasn’t saved.`,
+    });
+  }
+
+  if (rec && rec.status === REC_STATUS.BG_PASS) setRecommendationStatus(originMessageId, REC_STATUS.OBSERVING);
+  audit(client, {
+    actorId: interaction.user.id,
+    action: AUDIT.OBS_SUBMIT,
+    recommendationId: rec?.id,
+    before: { status: rec?.status },
+    after: { status: getRecommendationByMessage(originMessageId)?.status, idx: Number(idx), date: obs.date },
+  });
+
+  // the wait for the next observation starts over
+  scheduleObservationReminder(originMessageId);
+  const track = trackOf(rec);
+  notifyRecommenders(client, rec, NOTICE.OBSERVATION, { idx, filed: countObservations(originMessageId), needed: track.observations });
+
+  // the summary goes to the discussion thread before anything can close it
+  await postToThread(client, originMessageId, {
+    embeds: [buildObservationEmbed(idx, obs, rec?.lrUsername, { title: `Observation ${idx} Filed` })],
+  });
+
+  // refresh all copies (original + any polls)
+  await editAllMessagesFromDb(client, originMessageId);
+
+  // every observation the track asks for is in: open the poll (or accept)
+  if (rec && countObservations(originMessageId) >= track.observations) {
+    try {
+      await completeObservations(client, getRecommendationByMessage(originMessageId));
+    } catch (e) {
+      console.error('Completing observations failed:', e);
+    }
+  }
+
+  const confirm = buildObservationEmbed(idx, obs, rec?.lrUsername, { title: `Observation ${idx} Recorded` });
+  return interaction.editReply({ embeds: [confirm] });
+}
@@ -0,0 +1,98 @@
+import { PermissionFlagsBits } from 'discord.js';
+import { getObservations, getSponsors } from './db.js';
+import { getGuildConfig } from './settings.js';
+
+/* =========================
+   AUTHORIZATION
+   ========================= */
+// One role set per workflow stage, from the guild's /setup row or the *_ROLE_IDS
+// env vars. An unset stage is open to everyone who can see the buttons; admins
+// pass every role check.
+
+export const STAGE = Object.freeze({
+  RECOMMEND: 'recommend',
+  BG_CHECK: 'bg_check',
+  OBSERVE: 'observe',
+  VOTE: 'vote',
+  ADMIN: 'admin',
+  MANAGE: 'manage', // edit / withdraw a recommendation
+});
+
+const DENIED = {
+  [STAGE.RECOMMEND]: 'You do not have permission to make recommendations.',
+  [STAGE.BG_CHECK]: 'You do not have permission to perform background checks.',
+  [STAGE.OBSERVE]: 'You do not have permission to file observations.',
+  [STAGE.VOTE]: 'You are not eligible to vote on promotion polls.',
+  [STAGE.ADMIN]: 'This action is limited to recruitment admins.',
+  [STAGE.MANAGE]: 'Only the recommender or an admin can change this recommendation.',
+};
+
+/** Role IDs configured for a stage in a guild (empty when the stage is open to everyone). */
+export function stageRoleIds(guildId, stage) {
+  return [...(getGuildConfig(guildId).roles[stage] ?? [])];
+}
+
+const hasAnyRole = (member, roleIds) => member.roles.cache.some((r) => roleIds.includes(r.id));
+
+export function isAdmin(member) {
+  if (member.permissions?.has(PermissionFlagsBits.ManageGuild)) return true;
+  return hasAnyRole(member, stageRoleIds(member.guild.id, STAGE.ADMIN));
+}
+
+function isSponsor(rec, userId) {
+  return rec.recommenderId === userId || getSponsors(rec.id).some((s) => s.userId === userId);
+}
+
+/**
+ * Decide whether `member` may act on `stage`. Pass `rec` (and `obsIdx` for
+ * observations) to apply the conflict-of-interest rules.
+ * Returns { ok: true } or { ok: false, reason }.
+ */
+export function authorize(member, stage, { rec, obsIdx } = {}) {
+  if (stage === STAGE.ADMIN) {
+    return isAdmin(member) ? { ok: true } : { ok: false, reason: DENIED[stage] };
+  }
+  if (stage === STAGE.MANAGE) {
+    return rec?.recommenderId === member.id || isAdmin(member) ? { ok: true } : { ok: false, reason: DENIED[stage] };
+  }
+
+  const roles = stageRoleIds(member.guild.id, stage);
+  if (roles.length && !hasAnyRole(member, roles) && !isAdmin(member)) {
+    return { ok: false, reason: DENIED[stage] };
+  }
+
+  if (rec && stage === STAGE.BG_CHECK && isSponsor(rec, member.id)) {
+    return { ok: false, reason: 'You cannot background-check a candidate you recommended.' };
+  }
+  if (rec && stage === STAGE.OBSERVE) {
+    if (isSponsor(rec, member.id)) {
+      return { ok: false, reason: 'You cannot observe a candidate you recommended.' };
+    }
+    const other = getObservations(rec.originMessageId).find(
+      (o) => o.byUserId === member.id && String(o.idx) !== String(obsIdx)
+    );
+    if (other) {
+      return { ok: false, reason: `You already filed Observation ${other.idx}; another observer must take this slot.` };
+    }
+  }
+  return { ok: true };
+}
+
+export async function fetchMember(interaction) {
+  return interaction.guild?.members.fetch(interaction.user.id).catch(() => null);
+}
+
+/**
+ * Authorize the interaction's user and send the ephemeral denial if needed.
+ * Returns true when the handler may continue.
+ */
+export async function ensureAllowed(interaction, stage, ctx) {
+  const member = await fetchMember(interaction);
+  const res = member ? authorize(member, stage, ctx) : { ok: false, reason: 'This only works inside the server.' };
+  if (res.ok) return true;
+
+  const content = `⛔ ${res.reason}`;
+  if (interaction.replied || interaction.deferred) await interaction.followUp({ ephemeral: true, content });
+  else await interaction.reply({ ephemeral: true, content });
+  return false;
+}
@@ -0,0 +1,241 @@
+import { EmbedBuilder } from 'discord.js';
+import { AUDIT, SYSTEM_ACTOR, audit } from './audit.js';
+import {
+  REC_STATUS,
+  addMsgRef,
+  castVote,
+  closePollRecord,
+  createPoll,
+  getDuePolls,
+  getPoll,
+  getRecommendationByMessage,
+  getVoteTally,
+  movePollCopy,
+  setRecommendationStatus,
+} from './db.js';
+import { NOTICE, notifyCandidate, notifyRecommenders } from './notify.js';
+import { buildProofAttachment } from './proofs.js';
+import { getGuildConfig, trackOf } from './settings.js';
+import { editAllMessagesFromDb } from './views.js';
+
+const {
+  POLL_DURATION_HOURS, // default 48
+  POLL_QUORUM, // min. votes cast, default 3
+} = process.env;
+
+const POLL_DURATION_MS = (Number(POLL_DURATION_HOURS) || 48) * 60 * 60_000;
+const QUORUM = POLL_QUORUM ? Number(POLL_QUORUM) : 3;
+const SWEEP_INTERVAL_MS = 60_000;
+
+/* =========================
+   OPEN
+   ========================= */
+// polls channel and ping role belong to the department the recommendation was posted in;
+// a track may send its polls elsewhere
+function pollsChannelIdOf(rec) {
+  return trackOf(rec).pollsChannelId || getGuildConfig(rec.guildId).pollsChannelId;
+}
+
+/**
+ * Send a bare poll copy (ping + proof) to `channelId`; the caller records it and
+ * renders it from DB state. Returns the message, or null if it couldn't be sent.
+ */
+async function sendPollCopy(client, rec, channelId) {
+  const pollsCh = channelId ? await client.channels.fetch(channelId).catch(() => null) : null;
+  if (!pollsCh) return null;
+
+  // the proof is attached here too so the copy's embed can point at it
+  const { pingRoleId } = getGuildConfig(rec.guildId);
+  const proof = await buildProofAttachment(rec);
+  return pollsCh
+    .send({
+      content: pingRoleId ? `<@&${pingRoleId}>` : null,
+      embeds: [new EmbedBuilder().setTitle('Promotion Poll')],
+      files: proof ? [proof] : [],
+    })
+    .catch(() => null);
+}
+
+/** Post the poll copy for a recommendation and start its deadline. */
+export async function openPoll(client, rec) {
+  if (getPoll(rec.originMessageId)) return null;
+
+  // send first so we know the poll message id, then render the real poll copy
+  const pollsMsg = await sendPollCopy(client, rec, pollsChannelIdOf(rec));
+  if (!pollsMsg) return null;
+
+  createPoll(rec.originMessageId, {
+    channelId: pollsMsg.channelId,
+    messageId: pollsMsg.id,
+    quorum: QUORUM,
+    closesAt: Date.now() + POLL_DURATION_MS,
+  });
+  addMsgRef(rec.originMessageId, pollsMsg.channelId, pollsMsg.id);
+  setRecommendationStatus(rec.originMessageId, REC_STATUS.POLLING);
+  audit(client, {
+    actorId: SYSTEM_ACTOR,
+    action: AUDIT.POLL_OPEN,
+    recommendationId: rec.id,
+    before: { status: rec.status },
+    after: { status: REC_STATUS.POLLING },
+  });
+  notifyRecommenders(client, rec, NOTICE.POLL_OPEN);
+
+  await editAllMessagesFromDb(client, rec.originMessageId);
+  return pollsMsg;
+}
+
+/**
+ * Track the poll copy of a post made before polls had a record (see legacy.js)
+ * so the sweeper closes it. Its deadline is unknown, so a full one starts now;
+ * votes already cast still count.
+ */
+export function adoptLegacyPoll(originMessageId, { channelId, messageId }) {
+  if (getPoll(originMessageId)) return;
+  createPoll(originMessageId, { channelId, messageId, quorum: QUORUM, closesAt: Date.now() + POLL_DURATION_MS });
+}
+
+/**
+ * Repost the copy of an open poll whose message was deleted: back into the
+ * poll's channel if it still exists, else the current polls channel. Votes
+ * are kept. Returns the new message or null.
+ */
+export async function repostPollCopy(client, rec) {
+  const poll = getPoll(rec.originMessageId);
+  if (!poll || poll.status !== 'open') return null;
+
+  const pollsMsg =
+    (await sendPollCopy(client, rec, poll.channelId)) ??
+    (pollsChannelIdOf(rec) !== poll.channelId ? await sendPollCopy(client, rec, pollsChannelIdOf(rec)) : null);
+  if (!pollsMsg) return null;
+
+  movePollCopy(rec.originMessageId, pollsMsg.channelId, pollsMsg.id);
+  addMsgRef(rec.originMessageId, pollsMsg.channelId, pollsMsg.id);
+  await editAllMessagesFromDb(client, rec.originMessageId);
+  return pollsMsg;
+}
+
+/**
+ * Called once a recommendation has every observation its track asks for:
+ * open the poll, or accept right away on tracks without one.
+ */
+export async function completeObservations(client, rec) {
+  if (trackOf(rec).poll) return openPoll(client, rec);
+  if (rec.status !== REC_STATUS.BG_PASS && rec.status !== REC_STATUS.OBSERVING) return null;
+
+  setRecommendationStatus(rec.originMessageId, REC_STATUS.ACCEPTED);
+  audit(client, {
+    actorId: SYSTEM_ACTOR,
+    action: AUDIT.REC_ACCEPT,
+    recommendationId: rec.id,
+    before: { status: rec.status },
+    after: { status: REC_STATUS.ACCEPTED, track: trackOf(rec).key },
+  });
+  await editAllMessagesFromDb(client, rec.originMessageId);
+  notifyRecommenders(client, rec, NOTICE.ACCEPTED);
+  notifyCandidate(client, rec, NOTICE.ACCEPTED);
+  return null;
+}
+
+/* =========================
+   CLOSE
+   ========================= */
+function decideOutcome({ yes, no, total }, quorum) {
+  if (total < quorum) return 'no_quorum';
+  return yes > no ? 'accepted' : 'rejected';
+}
+
+const OUTCOME_STATUS = {
+  accepted: REC_STATUS.ACCEPTED,
+  rejected: REC_STATUS.REJECTED,
+  no_quorum: REC_STATUS.NO_QUORUM,
+};
+
+/** Finalize a poll (first-wins), update every copy and post a results summary. */
+export async function closePoll(client, originMessageId) {
+  const poll = getPoll(originMessageId);
+  if (!poll || poll.status !== 'open') return null;
+
+  const tally = getVoteTally(originMessageId);
+  const outcome = decideOutcome(tally, poll.quorum);
+  if (!closePollRecord(originMessageId, outcome)) return null;
+
+  const rec = getRecommendationByMessage(originMessageId);
+  setRecommendationStatus(originMessageId, OUTCOME_STATUS[outcome]);
+  audit(client, {
+    actorId: SYSTEM_ACTOR,
+    action: AUDIT.POLL_CLOSE,
+    recommendationId: rec?.id,
+    before: { status: rec?.status },
+    after: { status: OUTCOME_STATUS[outcome], ...tally },
+  });
+  await editAllMessagesFromDb(client, originMessageId);
+  notifyRecommenders(client, rec, outcome);
+  notifyCandidate(client, rec, outcome);
+
+  const ch = await client.channels.fetch(poll.channelId).catch(() => null);
+  if (ch) {
+    const summary = new EmbedBuilder()
+      .setTitle('Promotion Poll Results')
+      .setColor(outcome === 'accepted' ? 0x2ecc71 : outcome === 'rejected' ? 0xe74c3c : 0x95a5a6)
+      .addFields(
+        { name: 'LR Username', value: rec?.lrUsername || '—', inline: true },
+        { name: 'Outcome', value: outcome.replace('_', ' ').toUpperCase(), inline: true },
+        { name: 'Votes', value: `Yes: **${tally.yes}** • No: **${tally.no}** • Quorum: ${poll.quorum}`, inline: false }
+      )
+      .setFooter({ text: `ID ${rec?.id ?? '—'}` })
+      .setTimestamp();
+    await ch
+      .send({ embeds: [summary], reply: { messageReference: poll.messageId, failIfNotExists: false } })
+      .catch(() => {});
+  }
+  return outcome;
+}
+
+/* =========================
+   VOTES
+   ========================= */
+/** `poll:vote:<originId>:<vote>` button; routed behind allow(STAGE.VOTE) and deferEphemeral (a late vote closes the poll). */
+export async function handlePollVote({ interaction, client, params }) {
+  const { originId: originMessageId } = params;
+  const poll = getPoll(originMessageId);
+  if (!poll || poll.status !== 'open') {
+    return interaction.editReply({ content: '⚠️ This poll is closed.' });
+  }
+  if (poll.closesAt <= Date.now()) {
+    await closePoll(client, originMessageId);
+    return interaction.editReply({ content: '⚠️ This poll has just closed.' });
+  }
+
+  const choice = params.vote === 'yes' ? 'yes' : 'no';
+  castVote(originMessageId, interaction.user.id, choice);
+  audit(client, {
+    actorId: interaction.user.id,
+    action: AUDIT.POLL_VOTE,
+    recommendationId: getRecommendationByMessage(originMessageId)?.id,
+    after: { vote: choice },
+  });
+  await interaction.editReply({
+    content: `🗳️ Your vote (**${choice === 'yes' ? 'Yes' : 'No'}**) was recorded. Voting again replaces it.`,
+  });
+  await editAllMessagesFromDb(client, originMessageId);
+}
+
+/* =========================
+   SWEEPER
+   ========================= */
+/** Close every open poll whose deadline has passed. */
+export async function sweepDuePolls(client) {
+  for (const poll of getDuePolls()) {
+    try {
+      await closePoll(client, poll.originMessageId);
+    } catch (e) {
+      console.error('Poll close failed:', e);
+    }
+  }
+}
+
+export function startPollSweeper(client) {
+  sweepDuePolls(client);
+  return setInterval(() => sweepDuePolls(client), SWEEP_INTERVAL_MS);
+}
@@ -0,0 +1,77 @@
+import { createHash } from 'node:crypto';
+import { existsSync } from 'node:fs';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { AttachmentBuilder } from 'discord.js';
+
+const { PROOF_STORE_DIR } = process.env; // default ./proofs
+
+const STORE_DIR = path.resolve(PROOF_STORE_DIR || './proofs');
+export const MAX_PROOF_BYTES = 8 * 1024 * 1024;
+// covers reading the body too, so a stalled CDN download can't hold up a submit
+const DOWNLOAD_TIMEOUT_MS = 15_000;
+
+/* =========================
+   PROOF ARCHIVE
+   ========================= */
+// Discord CDN links from the slash command expire, so the proof is copied into
+// a content-addressed store (<sha256>.<ext>) and re-uploaded with the post.
+const SIGNATURES = [
+  { mime: 'image/png', ext: 'png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mime: 'image/jpeg', ext: 'jpg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mime: 'image/gif', ext: 'gif', test: (b) => ['GIF87a', 'GIF89a'].includes(b.toString('latin1', 0, 6)) },
+  { mime: 'image/webp', ext: 'webp', test: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+];
+
+const EXT_BY_MIME = Object.fromEntries(SIGNATURES.map((s) => [s.mime, s.ext]));
+
+/** Detect the image type from its first bytes; null if it isn't one we accept. */
+export function sniffImageType(buf) {
+  if (!buf || buf.length < 12) return null;
+  const sig = SIGNATURES.find((s) => s.test(buf));
+  return sig ? { mime: sig.mime, ext: sig.ext } : null;
+}
+
+function storedPath(sha256, mime) {
+  return path.join(STORE_DIR, `${sha256}.${EXT_BY_MIME[mime]}`);
+}
+
+/**
+ * Download a proof image and store it (once per distinct content).
+ * Returns { ok: true, sha256, mime, size } or { ok: false, reason }.
+ */
+export async function archiveProof(url) {
+  const failed = { ok: false, reason: 'Could not download the proof image. Please run `/recommend` again.' };
+  const res = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) }).catch(() => null);
+  if (!res?.ok) return failed;
+
+  const body = await res.arrayBuffer().catch(() => null);
+  if (!body) return failed;
+  const buf = Buffer.from(body);
+  const type = buf.length <= MAX_PROOF_BYTES ? sniffImageType(buf) : null;
+  if (!type) return { ok: false, reason: 'Proof must be an image ≤ 8MB (png/jpg/webp/gif).' };
+
+  const sha256 = createHash('sha256').update(buf).digest('hex');
+  const file = storedPath(sha256, type.mime);
+  if (!existsSync(file)) {
+    await mkdir(STORE_DIR, { recursive: true });
+    await writeFile(file, buf);
+  }
+  return { ok: true, sha256, mime: type.mime, size: buf.length };
+}
+
+/** Stored bytes for a recommendation's proof, or null if it was never archived / is gone. */
+export async function readProof(rec) {
+  if (!rec?.proofSha256 || !EXT_BY_MIME[rec.proofMime]) return null;
+  return readFile(storedPath(rec.proofSha256, rec.proofMime)).catch(() => null);
+}
+
+/** Attachment name the embed points at (`attachment://…`); null for legacy URL-only proofs. */
+export function proofFileName(rec) {
+  return rec?.proofSha256 && EXT_BY_MIME[rec.proofMime] ? `proof-${rec.id}.${EXT_BY_MIME[rec.proofMime]}` : null;
+}
+
+export async function buildProofAttachment(rec) {
+  const buf = await readProof(rec);
+  return buf ? new AttachmentBuilder(buf, { name: proofFileName(rec) }) : null;
+}
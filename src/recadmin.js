@@ -0,0 +1,234 @@
+import path from 'node:path';
+import { AttachmentBuilder, ChannelType } from 'discord.js';
+import { AUDIT, audit } from './audit.js';
+import { buildDataExport, createBackup, fetchDataExport, importDataExport } from './backup.js';
+import { OPT, SUB } from './commands.js';
+import {
+  REC_STATUS,
+  getBg,
+  getDoneSet,
+  getObservation,
+  getPoll,
+  getRecommendation,
+  reopenBgCheck,
+  setRecommendationStatus,
+  updateGuildSettings,
+  voidObservation,
+} from './db.js';
+import { scheduleObservationReminder } from './reminders.js';
+import { formatResyncSummary, resync } from './resync.js';
+import { deptGuildOf, getSavedGuildSettings, getTracks, missingPostPermissions } from './settings.js';
+import { parseTracks } from './tracks.js';
+import { editAllMessagesFromDb } from './views.js';
+
+/* =========================
+   /recadmin
+   ========================= */
+// Reverting is only safe before the poll opens; after that the votes were cast
+// on the old results.
+const REVERTIBLE = new Set([REC_STATUS.SUBMITTED, REC_STATUS.BG_PASS, REC_STATUS.BG_FAIL, REC_STATUS.OBSERVING]);
+
+// another department's recommendation looks the same as a missing one
+function findRec(interaction) {
+  const id = interaction.options.getString(OPT.RECOMMENDATION, true).trim().toUpperCase();
+  const rec = getRecommendation(id);
+  return rec?.guildId === deptGuildOf(interaction.guildId) ? rec : null;
+}
+
+async function reopenBg(interaction) {
+  // re-rendering every copy and the thread can take a while
+  await interaction.deferReply({ ephemeral: true });
+  const rec = findRec(interaction);
+  if (!rec) return interaction.editReply({ content: '❌ No recommendation with that ID.' });
+  if (!REVERTIBLE.has(rec.status) || getPoll(rec.originMessageId)) {
+    return interaction.editReply({ content: '⚠️ The background check can only be reopened before the poll opens.' });
+  }
+
+  const bg = getBg(rec.originMessageId);
+  if (!bg.status) return interaction.editReply({ content: 'ℹ️ That background check is not finalized.' });
+
+  const reason = interaction.options.getString(OPT.REASON, true).trim();
+  reopenBgCheck(rec.originMessageId, { by: interaction.user.id, reason });
+  setRecommendationStatus(rec.originMessageId, REC_STATUS.SUBMITTED);
+  audit(interaction.client, {
+    actorId: interaction.user.id,
+    action: AUDIT.BG_REOPEN,
+    recommendationId: rec.id,
+    before: { status: rec.status, bg: bg.status },
+    after: { status: REC_STATUS.SUBMITTED, reason },
+  });
+
+  await editAllMessagesFromDb(interaction.client, rec.originMessageId);
+  return interaction.editReply({
+    content: `🔁 Background check for **${rec.lrUsername}** (\`${rec.id}\`) reopened. The previous **${bg.status}** result was kept as history.`,
+  });
+}
+
+async function voidObs(interaction) {
+  // re-rendering every copy and the thread can take a while
+  await interaction.deferReply({ ephemeral: true });
+  const rec = findRec(interaction);
+  if (!rec) return interaction.editReply({ content: '❌ No recommendation with that ID.' });
+  if (!REVERTIBLE.has(rec.status) || getPoll(rec.originMessageId)) {
+    return interaction.editReply({ content: '⚠️ Observations can only be voided before the poll opens.' });
+  }
+
+  const idx = interaction.options.getInteger(OPT.SLOT, true);
+  const obs = getObservation(rec.originMessageId, idx);
+  if (!obs) return interaction.editReply({ content: `ℹ️ Observation ${idx} has not been filed.` });
+
+  const reason = interaction.options.getString(OPT.REASON, true).trim();
+  voidObservation(rec.originMessageId, idx, { by: interaction.user.id, reason });
+  const status = getDoneSet(rec.originMessageId).size ? rec.status : REC_STATUS.BG_PASS;
+  if (status !== rec.status) setRecommendationStatus(rec.originMessageId, status);
+  scheduleObservationReminder(rec.originMessageId);
+  audit(interaction.client, {
+    actorId: interaction.user.id,
+    action: AUDIT.OBS_VOID,
+    recommendationId: rec.id,
+    before: { status: rec.status, idx, filedBy: obs.byUserId },
+    after: { status, reason },
+  });
+
+  // rebuild the obs buttons on the original + any copies
+  await editAllMessagesFromDb(interaction.client, rec.originMessageId);
+  return interaction.editReply({
+    content: `🗑️ Observation ${idx} for **${rec.lrUsername}** (\`${rec.id}\`) voided. The slot is open again.`,
+  });
+}
+
+const formatBytes = (n) => (n >= 1024 * 1024 ? `${(n / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(n / 1024)} KB`);
+
+async function backup(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+  const { file, size, pruned } = await createBackup();
+  audit(interaction.client, {
+    actorId: interaction.user.id,
+    action: AUDIT.DATA_BACKUP,
+    guildId: interaction.guildId,
+    after: { file: path.basename(file), size },
+  });
+  return interaction.editReply({
+    content: `💾 Backup saved as \`${path.basename(file)}\` (${formatBytes(size)}).${pruned ? ` Removed ${pruned} old backup(s).` : ''}`,
+  });
+}
+
+function exportData(interaction) {
+  const { count, file } = buildDataExport(deptGuildOf(interaction.guildId));
+  audit(interaction.client, {
+    actorId: interaction.user.id,
+    action: AUDIT.DATA_EXPORT,
+    guildId: interaction.guildId,
+    after: { recommendations: count },
+  });
+  return interaction.reply({ ephemeral: true, content: `📦 ${count} recommendation(s) exported.`, files: [file] });
+}
+
+async function importData(interaction) {
+  const channel = interaction.options.getChannel(OPT.CHANNEL);
+  if (channel) {
+    if (channel.type !== ChannelType.GuildText) {
+      return interaction.reply({ ephemeral: true, content: '❌ Pick a text channel to repost into.' });
+    }
+    const missing = await missingPostPermissions(channel);
+    if (missing.length) {
+      return interaction.reply({ ephemeral: true, content: `❌ I am missing permissions in ${channel}: ${missing.join(', ')}.` });
+    }
+  }
+
+  // reposting can take a while
+  await interaction.deferReply({ ephemeral: true });
+  const fetched = await fetchDataExport(interaction.options.getAttachment(OPT.FILE, true));
+  if (!fetched.ok) return interaction.editReply({ content: `❌ ${fetched.reason}` });
+  const result = await importDataExport(interaction.client, fetched.data, { channel });
+  if (!result.ok) return interaction.editReply({ content: `❌ ${result.reason}` });
+
+  audit(interaction.client, {
+    actorId: interaction.user.id,
+    action: AUDIT.DATA_IMPORT,
+    guildId: interaction.guildId,
+    after: { ...result.counts, renamed: result.renamed, skipped: result.skipped, reposted: result.reposted },
+  });
+  const lines = [
+    `📥 Imported ${result.counts.recommendations} recommendation(s), ${result.counts.bg_checks} background check(s) and ${result.counts.observations} observation(s).`,
+  ];
+  if (result.skipped) lines.push(`ℹ️ ${result.skipped} were already here and were left as they are.`);
+  if (result.renamed) lines.push(`🔀 ${result.renamed} got a new ID because theirs was taken.`);
+  if (result.reposted) lines.push(`📨 ${result.reposted} open recommendation(s) reposted in ${channel}.`);
+  return interaction.editReply({ content: lines.join('\n') });
+}
+
+async function resyncMessages(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+  const summary = await resync(interaction.client, interaction.user.id);
+  if (!summary) return interaction.editReply({ content: '⏳ A resync is already running. Try again in a minute.' });
+  return interaction.editReply({ content: formatResyncSummary(summary) });
+}
+
+// with neither option: the tracks in use, as a list and as a file to edit and upload again
+async function manageTracks(interaction) {
+  const guildId = interaction.guildId;
+  const file = interaction.options.getAttachment(OPT.FILE);
+  const reset = interaction.options.getBoolean(OPT.RESET);
+
+  if (!file && !reset) {
+    const tracks = getTracks(guildId);
+    const lines = tracks.map(
+      (t) => `• \`${t.key}\` ${t.label}: ${t.observations} observation(s), ${t.poll ? 'then a poll' : 'no poll'}`
+    );
+    const json = new AttachmentBuilder(Buffer.from(JSON.stringify(tracks, null, 2)), { name: 'tracks.json' });
+    return interaction.reply({
+      ephemeral: true,
+      content: ['🛤️ Promotion tracks for this server (the first is the default):', ...lines].join('\n').slice(0, 2000),
+      files: [json],
+    });
+  }
+  if (file && reset) return interaction.reply({ ephemeral: true, content: '❌ Upload a file or reset, not both.' });
+  if (!getSavedGuildSettings(guildId)?.recommendChannelId) {
+    return interaction.reply({
+      ephemeral: true,
+      content: '⚠️ Run `/setup` first. Until it has a recommendations channel, this server uses the bot defaults.',
+    });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+  let list = null;
+  if (file) {
+    const fetched = await fetchDataExport(file);
+    if (!fetched.ok) return interaction.editReply({ content: `❌ ${fetched.reason}` });
+    try {
+      parseTracks(fetched.data, file.name);
+    } catch (e) {
+      return interaction.editReply({ content: `❌ ${e.message}` });
+    }
+    list = fetched.data;
+  }
+
+  const before = getTracks(guildId).map((t) => t.key);
+  updateGuildSettings(guildId, { tracks_json: list && JSON.stringify(list) }, interaction.user.id);
+  const after = getTracks(guildId).map((t) => t.key);
+  audit(interaction.client, {
+    actorId: interaction.user.id,
+    action: AUDIT.SETUP_UPDATE,
+    guildId,
+    before: { tracks: before },
+    after: { tracks: after },
+  });
+  return interaction.editReply({
+    content:
+      `✅ ${list ? 'Tracks saved' : 'Back to the default tracks'}: ${after.map((k) => `\`${k}\``).join(', ')}.\n` +
+      'Recommendations on a track that no longer exists continue on the first one.',
+  });
+}
+
+export async function handleRecAdmin(interaction) {
+  const sub = interaction.options.getSubcommand();
+  if (sub === SUB.RECADMIN_REOPEN_BG) return reopenBg(interaction);
+  if (sub === SUB.RECADMIN_VOID_OBS) return voidObs(interaction);
+  if (sub === SUB.RECADMIN_BACKUP) return backup(interaction);
+  if (sub === SUB.RECADMIN_EXPORT) return exportData(interaction);
+  if (sub === SUB.RECADMIN_IMPORT) return importData(interaction);
+  if (sub === SUB.RECADMIN_RESYNC) return resyncMessages(interaction);
+  if (sub === SUB.RECADMIN_TRACKS) return manageTracks(interaction);
+  return interaction.reply({ ephemeral: true, content: '❌ Unknown subcommand.' });
+}
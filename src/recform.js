@@ -0,0 +1,185 @@
+import { EmbedBuilder } from 'discord.js';
+import { AUDIT, audit } from './audit.js';
+import { placeAt } from './bgconfig.js';
+import { OPT, SUB } from './commands.js';
+import { buildRequirementsText, getCriteria } from './criteria.js';
+import { deleteFormTemplate, upsertFormTemplate } from './db.js';
+import {
+  DEFAULT_FORM_NAME,
+  FIELD_TYPES,
+  FORM_NAME_RE,
+  LR_FIELD_KEY,
+  MAX_FORM_FIELDS,
+  buildFormModal,
+  getForm,
+  getForms,
+  validateForm,
+} from './forms.js';
+
+/* =========================
+   /recform
+   ========================= */
+function describeField(f) {
+  const limits =
+    f.type === FIELD_TYPES.CHOICE
+      ? ` • ${f.choices.join(' / ')}`
+      : f.type === FIELD_TYPES.DATE
+      ? ''
+      : f.min != null || f.max != null
+      ? ` • ${f.type === FIELD_TYPES.NUMBER ? '' : 'length '}${f.min ?? 0}-${f.max ?? '∞'}`
+      : '';
+  return `\`${f.key}\` — ${f.label} *(${f.type}${f.required ? '' : ', optional'})*${limits}`;
+}
+
+function buildFormEmbed(form, guildId) {
+  return new EmbedBuilder()
+    .setTitle(`Form: ${form.name}`)
+    .setColor(0x5865f2)
+    .setDescription(buildRequirementsText(getCriteria(guildId), form.requirements).slice(0, 2048))
+    .addFields(
+      { name: 'Modal Title', value: form.title, inline: false },
+      { name: `Fields (${form.fields.length}/${MAX_FORM_FIELDS})`, value: form.fields.map(describeField).join('\n'), inline: false }
+    );
+}
+
+function buildFormListEmbed(forms) {
+  return new EmbedBuilder()
+    .setTitle('Recommendation Forms')
+    .setColor(0x5865f2)
+    .setDescription(
+      forms.map((f) => `**${f.name}** — ${f.title} (${f.fields.length} field${f.fields.length === 1 ? '' : 's'})`).join('\n')
+    )
+    .setFooter({ text: '/recommend uses "default" unless a form is picked' });
+}
+
+function readFormName(interaction) {
+  return interaction.options.getString(OPT.FORM, true).trim().toLowerCase();
+}
+
+function save(interaction, before, after, change) {
+  upsertFormTemplate(interaction.guildId, after, interaction.user.id);
+  audit(interaction.client, {
+    actorId: interaction.user.id,
+    action: AUDIT.FORM_UPDATE,
+    guildId: interaction.guildId,
+    before: before && { form: before.name, fields: before.fields.map((f) => f.key) },
+    after: { form: after.name, fields: after.fields.map((f) => f.key), change },
+  });
+}
+
+export async function handleRecForm(interaction) {
+  const guildId = interaction.guildId;
+  const sub = interaction.options.getSubcommand();
+
+  if (sub === SUB.RECFORM_LIST) {
+    return interaction.reply({ ephemeral: true, embeds: [buildFormListEmbed(getForms(guildId))] });
+  }
+
+  if (sub === SUB.RECFORM_CREATE) {
+    const name = readFormName(interaction);
+    if (!FORM_NAME_RE.test(name)) {
+      return interaction.reply({ ephemeral: true, content: '❌ Name must be 1-32 characters of a-z, 0-9, `_` or `-`.' });
+    }
+    if (getForm(guildId, name)) return interaction.reply({ ephemeral: true, content: `❌ A form named \`${name}\` already exists.` });
+    const copyFrom = interaction.options.getString(OPT.COPY_FROM)?.trim().toLowerCase() || DEFAULT_FORM_NAME;
+    const source = getForm(guildId, copyFrom);
+    if (!source) return interaction.reply({ ephemeral: true, content: `❌ No form named \`${copyFrom}\`.` });
+
+    const form = { ...source, name, title: interaction.options.getString(OPT.TITLE)?.trim() || source.title };
+    save(interaction, null, form, sub);
+    return interaction.reply({ ephemeral: true, content: `✅ Form \`${name}\` created.`, embeds: [buildFormEmbed(form, guildId)] });
+  }
+
+  const name = readFormName(interaction);
+  const before = getForm(guildId, name);
+  if (!before) return interaction.reply({ ephemeral: true, content: `❌ No form named \`${name}\`.` });
+
+  if (sub === SUB.RECFORM_SHOW) {
+    return interaction.reply({ ephemeral: true, embeds: [buildFormEmbed(before, guildId)] });
+  }
+
+  if (sub === SUB.RECFORM_DELETE) {
+    if (name === DEFAULT_FORM_NAME) return interaction.reply({ ephemeral: true, content: '❌ The default form cannot be deleted.' });
+    deleteFormTemplate(guildId, name);
+    audit(interaction.client, {
+      actorId: interaction.user.id,
+      action: AUDIT.FORM_UPDATE,
+      guildId: interaction.guildId,
+      before: { form: name, fields: before.fields.map((f) => f.key) },
+      after: { form: name, change: sub },
+    });
+    return interaction.reply({ ephemeral: true, content: `🗑️ Form \`${name}\` deleted. Posted recommendations keep their answers.` });
+  }
+
+  // the modal is saved by handleRecFormModal
+  if (sub === SUB.RECFORM_REQUIREMENTS) {
+    const fields = [
+      { key: 'title', label: 'Modal title', type: FIELD_TYPES.TEXT, required: true, max: 45 },
+      { key: 'requirements', label: 'Requirements ({criteria} = BG criteria)', type: FIELD_TYPES.PARAGRAPH, required: true, max: 4000 },
+    ];
+    return interaction.showModal(buildFormModal(`recform:reqmodal:${name}`, 'Edit Requirements', fields, before));
+  }
+
+  let fields;
+  if (sub === SUB.RECFORM_FIELD) {
+    const key = interaction.options.getString(OPT.KEY, true).trim().toLowerCase();
+    const field = {
+      key,
+      label: interaction.options.getString(OPT.LABEL, true).trim(),
+      type: interaction.options.getString(OPT.TYPE, true),
+      required: key === LR_FIELD_KEY || (interaction.options.getBoolean(OPT.REQUIRED) ?? true),
+      min: interaction.options.getNumber(OPT.MIN),
+      max: interaction.options.getNumber(OPT.MAX),
+      choices:
+        interaction.options
+          .getString(OPT.CHOICES)
+          ?.split(',')
+          .map((c) => c.trim())
+          .filter(Boolean) ?? null,
+      placeholder: interaction.options.getString(OPT.PLACEHOLDER)?.trim() || null,
+    };
+    // lengths are whole characters
+    if (field.type !== FIELD_TYPES.NUMBER) {
+      if (field.min != null) field.min = Math.floor(field.min);
+      if (field.max != null) field.max = Math.floor(field.max);
+    }
+    const exists = before.fields.some((f) => f.key === key);
+    if (!exists && before.fields.length >= MAX_FORM_FIELDS) {
+      return interaction.reply({ ephemeral: true, content: `❌ A form can have at most ${MAX_FORM_FIELDS} fields.` });
+    }
+    const list = exists ? before.fields.map((f) => (f.key === key ? field : f)) : [...before.fields, field];
+    fields = placeAt(list, field, interaction.options.getInteger(OPT.POSITION));
+  } else if (sub === SUB.RECFORM_REMOVE_FIELD) {
+    const key = interaction.options.getString(OPT.KEY, true).trim().toLowerCase();
+    if (key === LR_FIELD_KEY) return interaction.reply({ ephemeral: true, content: '❌ The LR username field cannot be removed.' });
+    if (!before.fields.some((f) => f.key === key)) {
+      return interaction.reply({ ephemeral: true, content: `❌ Form \`${name}\` has no field \`${key}\`.` });
+    }
+    fields = before.fields.filter((f) => f.key !== key);
+  } else {
+    return interaction.reply({ ephemeral: true, content: '❌ Unknown subcommand.' });
+  }
+
+  const after = { ...before, fields };
+  const problem = validateForm(after);
+  if (problem) return interaction.reply({ ephemeral: true, content: `❌ ${problem}` });
+
+  // recommendations already posted keep the answers they were submitted with
+  save(interaction, before, after, sub);
+  return interaction.reply({ ephemeral: true, content: '✅ Form updated.', embeds: [buildFormEmbed(after, guildId)] });
+}
+
+/** Submit of the requirements modal (`recform:reqmodal:<name>`). */
+export async function handleRecFormModal(interaction) {
+  const name = interaction.customId.split(':')[2];
+  const before = getForm(interaction.guildId, name);
+  if (!before) return interaction.reply({ ephemeral: true, content: `❌ No form named \`${name}\`.` });
+
+  const after = {
+    ...before,
+    title: interaction.fields.getTextInputValue('title').trim() || before.title,
+    requirements: interaction.fields.getTextInputValue('requirements').trim() || before.requirements,
+  };
+  save(interaction, before, after, SUB.RECFORM_REQUIREMENTS);
+  return interaction.reply({ ephemeral: true, content: '✅ Requirements updated.', embeds: [buildFormEmbed(after, interaction.guildId)] });
+}
@@ -0,0 +1,266 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, ChannelType, EmbedBuilder } from 'discord.js';
+import { AUDIT, audit } from './audit.js';
+import { OPT } from './commands.js';
+import { buildRequirementsText, getCriteria } from './criteria.js';
+import {
+  REC_STATUS,
+  addMsgRef,
+  addSponsor,
+  createRecommendation,
+  deleteExpiredProofStash,
+  deleteProofStash,
+  getProofStash,
+  getSponsors,
+  newRecommendationId,
+  putProofStash,
+  takeProofStash,
+  touchProofStash,
+} from './db.js';
+import { MERGE_DUPLICATES, findDuplicate, normalizeLrUsername } from './duplicates.js';
+import { DEFAULT_FORM_NAME, LR_FIELD_KEY, REASON_FIELD_KEY, answerValue, buildFormModal, getForm, readFormSubmission } from './forms.js';
+import { archiveProof, buildProofAttachment } from './proofs.js';
+import { scheduleExpiry } from './reminders.js';
+import { verifyLrUsername } from './roblox.js';
+import { deptGuildOf, getGuildConfig, getTrack, missingPostPermissions } from './settings.js';
+import { openDiscussionThread } from './threads.js';
+import { criteriaForTrack } from './tracks.js';
+import { buildBgStartRow, buildManageRow, buildRecEmbed, editAllMessagesFromDb } from './views.js';
+
+/* =========================
+   EPHEMERAL STASH (upload)
+   ========================= */
+// Slash -> modal stash (just for the 1-step handoff). Kept in SQLite so a
+// restart between /recommend and the modal doesn't lose the proof.
+const STASH_TTL_MS = 15 * 60_000;
+const STASH_SWEEP_INTERVAL_MS = 60_000;
+
+/** Create/overwrite a 15-minute stash. */
+function setPending(token, data) {
+  putProofStash(token, data, Date.now() + STASH_TTL_MS);
+}
+
+/** Refresh TTL to full 15 minutes (called when "Continue" is clicked). */
+function refreshPending(token) {
+  return touchProofStash(token, Date.now() + STASH_TTL_MS);
+}
+
+/** Get & delete the stash when we finish. */
+function consumePending(token) {
+  return takeProofStash(token);
+}
+
+/** Expired rows are already ignored on read; this just keeps the table small. */
+export function startStashSweeper() {
+  deleteExpiredProofStash();
+  return setInterval(() => deleteExpiredProofStash(), STASH_SWEEP_INTERVAL_MS);
+}
+
+const SESSION_EXPIRED = '❌ Session expired. Please run `/recommend` again.';
+const RETRY_FORM = 'Your proof is still attached: press **Continue** above to fix the form and submit again.';
+
+/* =========================
+   /recommend
+   ========================= */
+export async function handleRecommend({ interaction }) {
+  const proof = interaction.options.getAttachment(OPT.SAFECHAT_PROOF);
+  if (!proof) return interaction.reply({ ephemeral: true, content: '❌ You must upload a Safechat proof image.' });
+
+  const okTypes = ['image/png', 'image/jpeg', 'image/jpg', 'image/webp', 'image/gif'];
+  if (proof.size > 8 * 1024 * 1024 || (proof.contentType && !okTypes.includes(proof.contentType))) {
+    return interaction.reply({ ephemeral: true, content: '❌ Proof must be an image ≤ 8MB (png/jpg/webp/gif).' });
+  }
+
+  const deptGuildId = deptGuildOf(interaction.guildId);
+  // autocomplete only suggests; a typed key still has to exist
+  const trackKey = interaction.options.getString(OPT.TRACK)?.trim();
+  const track = getTrack(deptGuildId, trackKey);
+  if (trackKey && track.key !== trackKey) {
+    return interaction.reply({ ephemeral: true, content: `❌ There is no promotion track named \`${trackKey}\`.` });
+  }
+  const formName = interaction.options.getString(OPT.FORM)?.trim().toLowerCase() || track.form || DEFAULT_FORM_NAME;
+  const form = getForm(deptGuildId, formName);
+  if (!form) return interaction.reply({ ephemeral: true, content: `❌ There is no recommendation form named \`${formName}\`.` });
+
+  const token = interaction.id;
+  const candidate = interaction.options.getUser(OPT.CANDIDATE);
+  if (candidate?.id === interaction.user.id) {
+    return interaction.reply({ ephemeral: true, content: '❌ You cannot recommend yourself.' });
+  }
+
+  setPending(token, {
+    fileName: proof.name ?? 'proof.png',
+    url: proof.url,
+    userId: interaction.user.id,
+    candidateUserId: candidate && !candidate.bot ? candidate.id : null,
+    formName: form.name,
+    track: track.key,
+    createdAt: Date.now(),
+  });
+
+  // the form's requirements, listing the criteria the Recruitment Department will check against
+  const req = buildRequirementsText(criteriaForTrack(getCriteria(deptGuildId), track), form.requirements);
+
+  const embed = new EmbedBuilder().setTitle('Recommendation Requirements').setDescription(req).setColor(0x5865f2);
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`recommend:continue:${token}`).setLabel('Continue').setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(`recommend:cancel:${token}`).setLabel('Cancel').setStyle(ButtonStyle.Secondary)
+  );
+
+  await interaction.reply({ ephemeral: true, embeds: [embed], components: [row] });
+}
+
+/* =========================
+   CONTINUE -> MODAL / CANCEL
+   ========================= */
+export async function handleRecommendContinue({ interaction, params }) {
+  const stash = refreshPending(params.token); // refresh the 15-min TTL
+  if (!stash || stash.userId !== interaction.user.id) {
+    return interaction.reply({ ephemeral: true, content: SESSION_EXPIRED });
+  }
+
+  const form = getForm(deptGuildOf(interaction.guildId), stash.formName || DEFAULT_FORM_NAME);
+  if (!form) return interaction.reply({ ephemeral: true, content: '❌ That form was deleted. Please run `/recommend` again.' });
+
+  await interaction.showModal(buildFormModal(`recommend_modal:${params.token}`, form.title, form.fields));
+}
+
+export async function handleRecommendCancel({ interaction, client, params }) {
+  deleteProofStash(params.token);
+  audit(client, { actorId: interaction.user.id, action: AUDIT.REC_CANCEL, guildId: interaction.guildId });
+  return interaction.update({ content: '❌ Recommendation cancelled.', embeds: [], components: [] });
+}
+
+/* =========================
+   MODAL SUBMIT -> POST
+   ========================= */
+// routed behind deferEphemeral: the Roblox lookup and proof download can take a moment
+export async function handleRecommendSubmit({ interaction, client, params }) {
+  // only peek for now: a typo in the form keeps the proof so Continue can reopen it
+  const pending = getProofStash(params.token);
+  if (!pending || pending.userId !== interaction.user.id) return interaction.editReply({ content: SESSION_EXPIRED });
+
+  const form = getForm(deptGuildOf(interaction.guildId), pending.formName || DEFAULT_FORM_NAME);
+  if (!form) return interaction.editReply({ content: '❌ That form was deleted. Please run `/recommend` again.' });
+  const submitted = readFormSubmission(interaction, form.fields);
+  if (!submitted.ok) return interaction.editReply({ content: `❌ ${submitted.reason} ${RETRY_FORM}` });
+
+  const reason = answerValue(submitted.answers, REASON_FIELD_KEY);
+  const typed = normalizeLrUsername(answerValue(submitted.answers, LR_FIELD_KEY));
+  const verified = await verifyLrUsername(typed);
+  if (!verified.ok) return interaction.editReply({ content: `❌ ${verified.reason} ${RETRY_FORM}` });
+
+  // the form is good: claim the stash (atomically, so a double-submitted modal only posts once)
+  const stash = consumePending(params.token);
+  if (!stash || stash.userId !== interaction.user.id) return interaction.editReply({ content: SESSION_EXPIRED });
+
+  // prefer Roblox's spelling so duplicates and lookups line up
+  const lrUsername = verified.account?.name ?? typed;
+  const answers = submitted.answers.map((a) => (a.key === LR_FIELD_KEY ? { ...a, value: lrUsername } : a));
+
+  // repeat recommendations in this department: merge as co-sponsor, or block during cooldown
+  const dup = findDuplicate(deptGuildOf(interaction.guildId), lrUsername);
+  if (dup) {
+    const link = `https://discord.com/channels/${dup.rec.guildId}/${dup.rec.channelId}/${dup.rec.originMessageId}`;
+    if (dup.kind === 'cooldown') {
+      audit(client, {
+        actorId: interaction.user.id,
+        action: AUDIT.REC_DUPLICATE_BLOCKED,
+        recommendationId: dup.rec.id,
+        after: { reason: 'cooldown', lrUsername },
+      });
+      return interaction.editReply({
+        content: `❌ **${dup.rec.lrUsername}** was not accepted recently ([${dup.rec.id}](${link})). They can be recommended again <t:${Math.floor(dup.until / 1000)}:R>.`,
+      });
+    }
+    const alreadyIn =
+      dup.rec.recommenderId === interaction.user.id || getSponsors(dup.rec.id).some((s) => s.userId === interaction.user.id);
+    if (alreadyIn) {
+      return interaction.editReply({
+        content: `⚠️ You already recommended **${dup.rec.lrUsername}** ([${dup.rec.id}](${link})).`,
+      });
+    }
+    if (!MERGE_DUPLICATES) {
+      audit(client, {
+        actorId: interaction.user.id,
+        action: AUDIT.REC_DUPLICATE_BLOCKED,
+        recommendationId: dup.rec.id,
+        after: { reason: 'open', lrUsername },
+      });
+      return interaction.editReply({
+        content: `❌ **${dup.rec.lrUsername}** already has an open recommendation ([${dup.rec.id}](${link})).`,
+      });
+    }
+    addSponsor(dup.rec.id, interaction.user.id, reason);
+    audit(client, {
+      actorId: interaction.user.id,
+      action: AUDIT.REC_COSPONSOR,
+      recommendationId: dup.rec.id,
+      after: { sponsorId: interaction.user.id },
+    });
+    await editAllMessagesFromDb(client, dup.rec.originMessageId);
+    return interaction.editReply({
+      content: `ℹ️ **${dup.rec.lrUsername}** already has an open recommendation ([${dup.rec.id}](${link})). You were added as a co-sponsor.`,
+    });
+  }
+
+  // this guild's department, or the env department for guilds that never ran /setup
+  const config = getGuildConfig(interaction.guildId);
+  const track = getTrack(config.deptGuildId, stash.track);
+  const destId = track.recommendChannelId || config.recommendChannelId;
+  const dest = destId ? await client.channels.fetch(destId).catch(() => null) : null;
+  if (!dest || dest.type !== ChannelType.GuildText || dest.guildId !== config.deptGuildId) {
+    return interaction.editReply({ content: '❌ Destination channel not found or mismatched. An admin may need to run `/setup`.' });
+  }
+
+  const missing = await missingPostPermissions(dest);
+  if (missing.length) {
+    return interaction.editReply({ content: `❌ I am missing permissions to post in the destination channel: ${missing.join(', ')}.` });
+  }
+
+  // copy the proof off the CDN before its link expires
+  const archived = await archiveProof(stash.url);
+  if (!archived.ok) return interaction.editReply({ content: `❌ ${archived.reason}` });
+
+  const rec = {
+    id: newRecommendationId(),
+    recommenderId: interaction.user.id,
+    lrUsername,
+    reason,
+    proofUrl: stash.url,
+    proofSha256: archived.sha256,
+    proofMime: archived.mime,
+    candidateUserId: stash.candidateUserId,
+    robloxUserId: verified.account?.id ?? null,
+    robloxCreatedAt: verified.account?.createdAt ?? null,
+    formName: form.name,
+    answers,
+    track: track.key,
+    sourceGuildName: interaction.guild?.name ?? null,
+    status: REC_STATUS.SUBMITTED,
+    createdAt: Date.now(),
+  };
+
+  const proof = await buildProofAttachment(rec);
+  const sent = await dest.send({
+    content: config.pingRoleId ? `<@&${config.pingRoleId}>` : null,
+    embeds: [buildRecEmbed(rec)],
+    components: [buildBgStartRow(), buildManageRow(rec.id)],
+    files: proof ? [proof] : [],
+  });
+
+  createRecommendation({ ...rec, originMessageId: sent.id, channelId: sent.channelId, guildId: sent.guildId });
+  // track original message as a ref so we can edit later
+  addMsgRef(sent.id, sent.channelId, sent.id);
+  // render again once the thread exists so the post links to it
+  if (await openDiscussionThread({ ...rec, originMessageId: sent.id }, sent)) await editAllMessagesFromDb(client, sent.id);
+  scheduleExpiry({ originMessageId: sent.id });
+  audit(client, {
+    actorId: interaction.user.id,
+    action: AUDIT.REC_SUBMIT,
+    recommendationId: rec.id,
+    after: { status: rec.status, lrUsername },
+  });
+
+  await interaction.editReply({ content: '✅ Recommendation sent to the Recruitment Department. Thanks!' });
+}
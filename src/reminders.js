@@ -0,0 +1,172 @@
+import { AUDIT, SYSTEM_ACTOR, audit } from './audit.js';
+import {
+  REC_STATUS,
+  getDoneSet,
+  getObservation,
+  getObservations,
+  getRecommendationByMessage,
+  setRecommendationStatus,
+} from './db.js';
+import { NOTICE, notifyRecommenders, sendDm } from './notify.js';
+import { STAGE, stageRoleIds } from './permissions.js';
+import { registerJob, schedule } from './scheduler.js';
+import { getGuildConfig, trackOf } from './settings.js';
+import { observationSlots } from './tracks.js';
+import { editAllMessagesFromDb } from './views.js';
+
+const {
+  OBS_REMINDER_HOURS, // no new observation for this long -> ping observers, default 48
+  OBS_NUDGE_HOURS, // opened an observation form but never filed it -> DM, default 24
+  OBS_SLA_HOURS, // BG PASS -> every observation of the track, default 168 (7 days)
+  REC_EXPIRE_DAYS, // no progress for this long -> expired, default 30
+} = process.env;
+
+const HOUR_MS = 60 * 60_000;
+const REMINDER_MS = (Number(OBS_REMINDER_HOURS) || 48) * HOUR_MS;
+const NUDGE_MS = (Number(OBS_NUDGE_HOURS) || 24) * HOUR_MS;
+const SLA_MS = (Number(OBS_SLA_HOURS) || 168) * HOUR_MS;
+const EXPIRE_MS = (Number(REC_EXPIRE_DAYS) || 30) * 24 * HOUR_MS;
+
+export const JOB = Object.freeze({
+  OBS_REMINDER: 'obs.reminder',
+  OBS_NUDGE: 'obs.nudge',
+  REC_ESCALATE: 'rec.escalate',
+  REC_EXPIRE: 'rec.expire',
+});
+
+// waiting on observers
+const AWAITING_OBS = new Set([REC_STATUS.BG_PASS, REC_STATUS.OBSERVING]);
+// the poll has its own deadline, so only the stages before it can go stale
+const EXPIRABLE = new Set([REC_STATUS.SUBMITTED, REC_STATUS.BG_PASS, REC_STATUS.OBSERVING]);
+
+/* =========================
+   SCHEDULING
+   ========================= */
+/** On submit: expire the recommendation if it stops moving. */
+export function scheduleExpiry(rec, now = Date.now()) {
+  schedule(JOB.REC_EXPIRE, {
+    runAt: now + EXPIRE_MS,
+    originMessageId: rec.originMessageId,
+    dedupeKey: `${JOB.REC_EXPIRE}:${rec.originMessageId}`,
+  });
+}
+
+/** On BG PASS and after every observation: restart the "next observation" clock. */
+export function scheduleObservationReminder(originMessageId, now = Date.now()) {
+  schedule(JOB.OBS_REMINDER, {
+    runAt: now + REMINDER_MS,
+    originMessageId,
+    dedupeKey: `${JOB.OBS_REMINDER}:${originMessageId}`,
+  });
+}
+
+/** On BG PASS: escalate if the observations are not all in within the SLA. */
+export function scheduleEscalation(originMessageId, now = Date.now()) {
+  schedule(JOB.REC_ESCALATE, {
+    runAt: now + SLA_MS,
+    originMessageId,
+    dedupeKey: `${JOB.REC_ESCALATE}:${originMessageId}`,
+  });
+}
+
+/** When an observer opens a slot's form: nudge them if it never gets filed. */
+export function scheduleClaimNudge(originMessageId, idx, userId, now = Date.now()) {
+  schedule(JOB.OBS_NUDGE, {
+    runAt: now + NUDGE_MS,
+    originMessageId,
+    payload: { idx: Number(idx), userId },
+    dedupeKey: `${JOB.OBS_NUDGE}:${originMessageId}:${idx}:${userId}`,
+  });
+}
+
+/* =========================
+   HANDLERS
+   ========================= */
+function recLink(rec) {
+  return `https://discord.com/channels/${rec.guildId}/${rec.channelId}/${rec.originMessageId}`;
+}
+
+const roleMentions = (ids) => ids.map((id) => `<@&${id}>`).join(' ');
+
+async function postTo(client, channelId, content, roles) {
+  const ch = await client.channels.fetch(channelId).catch(() => null);
+  if (!ch) return false;
+  await ch.send({ content, allowedMentions: { roles } });
+  return true;
+}
+
+registerJob(JOB.OBS_REMINDER, async (client, job) => {
+  const rec = getRecommendationByMessage(job.originMessageId);
+  if (!rec || !AWAITING_OBS.has(rec.status)) return;
+  const done = getDoneSet(rec.originMessageId);
+  const slots = observationSlots(trackOf(rec));
+  const next = slots.find((i) => !done.has(i));
+  if (!next) return;
+
+  const roles = stageRoleIds(rec.guildId, STAGE.OBSERVE);
+  const text = `👀 **${rec.lrUsername}** (\`${rec.id}\`) is waiting on Observation ${next} (${done.size}/${slots.length} filed). ${recLink(rec)}`;
+  await postTo(client, rec.channelId, `${roleMentions(roles)} ${text}`.trim(), roles);
+  // keep reminding until someone files
+  scheduleObservationReminder(rec.originMessageId);
+});
+
+registerJob(JOB.OBS_NUDGE, async (client, job) => {
+  const rec = getRecommendationByMessage(job.originMessageId);
+  const { idx, userId } = job.payload;
+  if (!rec || !AWAITING_OBS.has(rec.status) || getObservation(rec.originMessageId, idx)) return;
+
+  // closed DMs are not worth retrying
+  await sendDm(
+    client,
+    userId,
+    `⏰ You opened Observation ${idx} for **${rec.lrUsername}** (\`${rec.id}\`) but it hasn't been filed yet. ${recLink(rec)}`
+  );
+});
+
+registerJob(JOB.REC_ESCALATE, async (client, job) => {
+  const rec = getRecommendationByMessage(job.originMessageId);
+  if (!rec || !AWAITING_OBS.has(rec.status)) return;
+  const filed = getDoneSet(rec.originMessageId).size;
+  const needed = trackOf(rec).observations;
+  if (filed >= needed) return;
+
+  const text =
+    `🚨 **${rec.lrUsername}** (\`${rec.id}\`) passed its background check over ${Math.round(SLA_MS / HOUR_MS)}h ago ` +
+    `and has ${filed}/${needed} observations. ${recLink(rec)}`;
+  // the department's escalation channel and lead roles (see /setup)
+  const { escalationChannelId, leadRoleIds } = getGuildConfig(rec.guildId);
+  await postTo(client, escalationChannelId || rec.channelId, `${roleMentions(leadRoleIds)} ${text}`.trim(), leadRoleIds);
+  audit(client, {
+    actorId: SYSTEM_ACTOR,
+    action: AUDIT.REC_ESCALATE,
+    recommendationId: rec.id,
+    after: { status: rec.status, observations: filed },
+  });
+});
+
+registerJob(JOB.REC_EXPIRE, async (client, job) => {
+  const rec = getRecommendationByMessage(job.originMessageId);
+  if (!rec || !EXPIRABLE.has(rec.status)) return;
+
+  // a status change, an edit or a filed observation counts as progress; check again later
+  const lastActivity = Math.max(
+    rec.updatedAt ?? rec.createdAt ?? 0,
+    ...getObservations(rec.originMessageId).map((o) => o.createdAt || 0)
+  );
+  const staleAt = lastActivity + EXPIRE_MS;
+  if (staleAt > Date.now()) {
+    schedule(JOB.REC_EXPIRE, { runAt: staleAt, originMessageId: rec.originMessageId, dedupeKey: job.dedupeKey });
+    return;
+  }
+
+  setRecommendationStatus(rec.originMessageId, REC_STATUS.EXPIRED);
+  audit(client, {
+    actorId: SYSTEM_ACTOR,
+    action: AUDIT.REC_EXPIRE,
+    recommendationId: rec.id,
+    before: { status: rec.status },
+    after: { status: REC_STATUS.EXPIRED },
+  });
+  await editAllMessagesFromDb(client, rec.originMessageId);
+  notifyRecommenders(client, rec, NOTICE.EXPIRED);
+});
@@ -0,0 +1,674 @@
+import crypto from 'node:crypto';
+
+/* =========================
+   REPOSITORY
+   ========================= */
+// Every query the bot runs, bound to one open database. db.js binds it to the
+// real file; anything else (a script, a throwaway ':memory:' database) can
+// create its own once runMigrations() has brought the schema up to date.
+
+/* =========================
+   RECOMMENDATIONS
+   ========================= */
+// submitted -> bg_pass | bg_fail -> observing -> polling -> accepted | rejected | no_quorum
+// (any open stage) -> withdrawn; submitted | bg_pass | observing -> expired (scheduler)
+export const REC_STATUS = Object.freeze({
+  SUBMITTED: 'submitted',
+  BG_PASS: 'bg_pass',
+  BG_FAIL: 'bg_fail',
+  OBSERVING: 'observing',
+  POLLING: 'polling',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  NO_QUORUM: 'no_quorum',
+  WITHDRAWN: 'withdrawn',
+  EXPIRED: 'expired',
+});
+
+// still moving through the pipeline (can be edited, withdrawn, co-sponsored)
+export const OPEN_STATUSES = new Set([
+  REC_STATUS.SUBMITTED,
+  REC_STATUS.BG_PASS,
+  REC_STATUS.OBSERVING,
+  REC_STATUS.POLLING,
+]);
+
+/** Short, human-friendly ID shown on embeds and used for lookups. */
+export function newRecommendationId() {
+  return crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+// what /recadmin export carries: the recommendations and everything keyed on them
+export const EXPORT_TABLES = Object.freeze([
+  'recommendations',
+  'recommendation_sponsors',
+  'bg_checks',
+  'observations',
+  'polls',
+  'poll_votes',
+  'message_refs',
+]);
+
+// which rows of each EXPORT_TABLES table belong to one department
+const GUILD_RECS = `SELECT originMessageId FROM recommendations WHERE guildId=?`;
+const EXPORT_SCOPE = {
+  recommendations: `guildId=?`,
+  recommendation_sponsors: `recommendationId IN (SELECT id FROM recommendations WHERE guildId=?)`,
+  bg_checks: `messageId IN (${GUILD_RECS})`,
+  observations: `messageId IN (${GUILD_RECS})`,
+  polls: `originMessageId IN (${GUILD_RECS})`,
+  poll_votes: `originMessageId IN (${GUILD_RECS})`,
+  message_refs: `originMessageId IN (${GUILD_RECS})`,
+};
+
+export function createRepository(db) {
+  // each distinct SQL text is compiled once per database
+  const statements = new Map();
+  const prepare = (sql) => {
+    let stmt = statements.get(sql);
+    if (!stmt) statements.set(sql, (stmt = db.prepare(sql)));
+    return stmt;
+  };
+
+  function createRecommendation(rec) {
+    const now = Date.now();
+    prepare(
+      `
+      INSERT INTO recommendations
+        (id, originMessageId, channelId, guildId, recommenderId, lrUsername, reason, proofUrl, proofSha256, proofMime,
+         candidateUserId, robloxUserId, robloxCreatedAt, formName, answers_json, track, sourceGuildName, status, createdAt, updatedAt)
+      VALUES (@id, @originMessageId, @channelId, @guildId, @recommenderId, @lrUsername, @reason, @proofUrl, @proofSha256, @proofMime,
+         @candidateUserId, @robloxUserId, @robloxCreatedAt, @formName, @answers_json, @track, @sourceGuildName, @status, @createdAt,
+         @updatedAt)
+    `
+    ).run({
+      id: rec.id,
+      originMessageId: rec.originMessageId ?? null,
+      channelId: rec.channelId ?? null,
+      guildId: rec.guildId ?? null,
+      recommenderId: rec.recommenderId,
+      lrUsername: rec.lrUsername,
+      reason: rec.reason ?? null,
+      proofUrl: rec.proofUrl ?? null,
+      proofSha256: rec.proofSha256 ?? null,
+      proofMime: rec.proofMime ?? null,
+      candidateUserId: rec.candidateUserId ?? null,
+      robloxUserId: rec.robloxUserId ?? null,
+      robloxCreatedAt: rec.robloxCreatedAt ?? null,
+      formName: rec.formName ?? null,
+      answers_json: rec.answers ? JSON.stringify(rec.answers) : null,
+      track: rec.track ?? null,
+      sourceGuildName: rec.sourceGuildName ?? null,
+      status: rec.status || REC_STATUS.SUBMITTED,
+      createdAt: rec.createdAt ?? now,
+      updatedAt: now,
+    });
+    return getRecommendation(rec.id);
+  }
+  function getRecommendation(id) {
+    return prepare(`SELECT * FROM recommendations WHERE id=?`).get(id);
+  }
+  function getRecommendationByMessage(originMessageId) {
+    return prepare(`SELECT * FROM recommendations WHERE originMessageId=?`).get(originMessageId);
+  }
+  /** Case-insensitive match on the LR username, newest first. */
+  // both are scoped to the department guild the recommendations were posted in
+  function findRecommendationsByLrUsername(guildId, lrUsername) {
+    return prepare(
+      `SELECT * FROM recommendations WHERE guildId=? AND lower(lrUsername)=lower(?) ORDER BY createdAt DESC, rowid DESC`
+    ).all(guildId, lrUsername.trim());
+  }
+  function findRecommendationsByRecommender(guildId, recommenderId) {
+    return prepare(`SELECT * FROM recommendations WHERE guildId=? AND recommenderId=? ORDER BY createdAt DESC, rowid DESC`).all(
+      guildId,
+      recommenderId
+    );
+  }
+  function setRecommendationStatus(originMessageId, status) {
+    prepare(`UPDATE recommendations SET status=?, updatedAt=? WHERE originMessageId=?`).run(
+      status,
+      Date.now(),
+      originMessageId
+    );
+  }
+
+  /** Apply an edit and keep the previous values as a revision. */
+  const reviseRecommendation = db.transaction((id, editorId, changes) => {
+    const before = getRecommendation(id);
+    if (!before) return null;
+    const next = {
+      lrUsername: changes.lrUsername ?? before.lrUsername,
+      reason: changes.reason ?? before.reason,
+    };
+    prepare(`UPDATE recommendations SET lrUsername=?, reason=?, updatedAt=? WHERE id=?`).run(
+      next.lrUsername,
+      next.reason,
+      Date.now(),
+      id
+    );
+    if (changes.answers) {
+      prepare(`UPDATE recommendations SET answers_json=? WHERE id=?`).run(JSON.stringify(changes.answers), id);
+    }
+    // a new username carries its own lookup result (null = unverified)
+    if (changes.roblox !== undefined) {
+      prepare(`UPDATE recommendations SET robloxUserId=?, robloxCreatedAt=? WHERE id=?`).run(
+        changes.roblox?.id ?? null,
+        changes.roblox?.createdAt ?? null,
+        id
+      );
+    }
+    prepare(
+      `INSERT INTO recommendation_revisions (recommendationId, editorId, before_json, after_json, at) VALUES (?,?,?,?,?)`
+    ).run(
+      id,
+      editorId,
+      JSON.stringify({ lrUsername: before.lrUsername, reason: before.reason, answers: JSON.parse(before.answers_json || 'null') }),
+      JSON.stringify({ ...next, answers: changes.answers ?? JSON.parse(before.answers_json || 'null') }),
+      Date.now()
+    );
+    return getRecommendation(id);
+  });
+  function getRevisions(recommendationId) {
+    return prepare(`SELECT * FROM recommendation_revisions WHERE recommendationId=? ORDER BY at, id`).all(recommendationId);
+  }
+
+  function addSponsor(recommendationId, userId, reason) {
+    const res = prepare(
+      `INSERT OR IGNORE INTO recommendation_sponsors (recommendationId, userId, reason, addedAt) VALUES (?,?,?,?)`
+    ).run(recommendationId, userId, reason ?? null, Date.now());
+    return res.changes > 0;
+  }
+  function getSponsors(recommendationId) {
+    return prepare(`SELECT * FROM recommendation_sponsors WHERE recommendationId=? ORDER BY addedAt`).all(recommendationId);
+  }
+
+  /* =========================
+     PROOF STASH
+     ========================= */
+  function putProofStash(token, { fileName, url, userId, candidateUserId, formName, track, createdAt }, expiresAt) {
+    prepare(
+      `INSERT INTO proof_stash (token, fileName, url, userId, candidateUserId, formName, track, createdAt, expiresAt)
+       VALUES (?,?,?,?,?,?,?,?,?)
+       ON CONFLICT(token) DO UPDATE SET fileName=excluded.fileName, url=excluded.url, userId=excluded.userId,
+         candidateUserId=excluded.candidateUserId, formName=excluded.formName, track=excluded.track,
+         createdAt=excluded.createdAt, expiresAt=excluded.expiresAt`
+    ).run(token, fileName, url, userId, candidateUserId ?? null, formName ?? null, track ?? null, createdAt, expiresAt);
+  }
+  function getProofStash(token, now = Date.now()) {
+    return prepare(`SELECT * FROM proof_stash WHERE token=? AND expiresAt > ?`).get(token, now) || null;
+  }
+  /** Push expiresAt out; returns the live row or null if it had already expired. */
+  function touchProofStash(token, expiresAt, now = Date.now()) {
+    const res = prepare(`UPDATE proof_stash SET expiresAt=? WHERE token=? AND expiresAt > ?`).run(expiresAt, token, now);
+    return res.changes ? getProofStash(token, now) : null;
+  }
+  /** Fetch and delete in one go, so a double-submitted modal only posts once. */
+  const takeProofStash = db.transaction((token, now = Date.now()) => {
+    const row = getProofStash(token, now);
+    prepare(`DELETE FROM proof_stash WHERE token=?`).run(token);
+    return row;
+  });
+  function deleteProofStash(token) {
+    prepare(`DELETE FROM proof_stash WHERE token=?`).run(token);
+  }
+  function deleteExpiredProofStash(now = Date.now()) {
+    return prepare(`DELETE FROM proof_stash WHERE expiresAt <= ?`).run(now).changes;
+  }
+
+  /* =========================
+     MESSAGE REFS
+     ========================= */
+  // kind 'post' is a rendered copy of the recommendation; 'thread' its discussion thread
+  function addMsgRef(originMessageId, channelId, messageId, kind = 'post') {
+    prepare(`INSERT OR IGNORE INTO message_refs (originMessageId, channelId, messageId, kind) VALUES (?,?,?,?)`).run(
+      originMessageId,
+      channelId,
+      messageId,
+      kind
+    );
+  }
+  /** The posts (original + poll copies) to re-render. */
+  function getMsgRefs(originMessageId) {
+    return prepare(`SELECT channelId, messageId FROM message_refs WHERE originMessageId=? AND kind='post'`).all(
+      originMessageId
+    );
+  }
+  function getThreadRef(originMessageId) {
+    return prepare(`SELECT channelId, messageId FROM message_refs WHERE originMessageId=? AND kind='thread'`).get(
+      originMessageId
+    );
+  }
+  /** Every tracked post and thread, grouped by recommendation (for the resync pass). */
+  function getAllMsgRefs() {
+    return prepare(
+      `SELECT originMessageId, channelId, messageId, kind FROM message_refs ORDER BY originMessageId, rowid`
+    ).all();
+  }
+  // a public thread shares its ID with the post it hangs off, so the kind picks the row
+  function deleteMsgRef(originMessageId, messageId, kind = 'post') {
+    prepare(`DELETE FROM message_refs WHERE originMessageId=? AND messageId=? AND kind=?`).run(originMessageId, messageId, kind);
+  }
+
+  /* =========================
+     BACKGROUND CHECKS
+     ========================= */
+  function saveBgSelection(messageId, values, criteria) {
+    prepare(
+      `
+      INSERT INTO bg_checks (messageId, status, selected_json, criteria_json, updatedAt)
+      VALUES (?, NULL, ?, ?, ?)
+      ON CONFLICT(messageId) DO UPDATE SET
+        selected_json=excluded.selected_json,
+        criteria_json=excluded.criteria_json,
+        updatedAt=excluded.updatedAt
+    `
+    ).run(messageId, JSON.stringify(values || []), criteria ? JSON.stringify(criteria) : null, Date.now());
+  }
+  function setBgStatus(messageId, status) {
+    prepare(
+      `
+      INSERT INTO bg_checks (messageId, status, selected_json, updatedAt)
+      VALUES (?, ?, COALESCE((SELECT selected_json FROM bg_checks WHERE messageId=?), '[]'), ?)
+      ON CONFLICT(messageId) DO UPDATE SET status=excluded.status, updatedAt=excluded.updatedAt
+    `
+    ).run(messageId, status, messageId, Date.now());
+  }
+  function getBg(messageId) {
+    return prepare(`SELECT status, selected_json, criteria_json FROM bg_checks WHERE messageId=?`).get(messageId) || {};
+  }
+
+  /** Move the live BG check into history so the check can be redone. */
+  const reopenBgCheck = db.transaction((messageId, { by, reason }) => {
+    const res = prepare(
+      `
+      INSERT INTO bg_checks_history
+        (messageId, status, selected_json, criteria_json, updatedAt, supersededBy, supersededReason, supersededAt)
+      SELECT messageId, status, selected_json, criteria_json, updatedAt, ?, ?, ?
+      FROM bg_checks WHERE messageId=?
+    `
+    ).run(by, reason, Date.now(), messageId);
+    prepare(`DELETE FROM bg_checks WHERE messageId=?`).run(messageId);
+    return res.changes > 0;
+  });
+
+  function getBgCriteriaRows(guildId) {
+    return prepare(`SELECT * FROM bg_criteria WHERE guildId=? ORDER BY position, key`).all(guildId);
+  }
+  function upsertBgCriterion(guildId, { key, label, description, required, position }) {
+    prepare(
+      `
+      INSERT INTO bg_criteria (guildId, key, label, description, required, position)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(guildId, key) DO UPDATE SET
+        label=excluded.label,
+        description=excluded.description,
+        required=excluded.required,
+        position=excluded.position
+    `
+    ).run(guildId, key, label, description ?? null, required ? 1 : 0, position);
+  }
+  function deleteBgCriterion(guildId, key) {
+    return prepare(`DELETE FROM bg_criteria WHERE guildId=? AND key=?`).run(guildId, key).changes > 0;
+  }
+  const replaceBgCriteria = db.transaction((guildId, criteria) => {
+    prepare(`DELETE FROM bg_criteria WHERE guildId=?`).run(guildId);
+    criteria.forEach((c, i) => upsertBgCriterion(guildId, { ...c, position: i }));
+  });
+
+  /* =========================
+     FORM TEMPLATES
+     ========================= */
+  function getFormTemplateRows(guildId) {
+    return prepare(`SELECT * FROM form_templates WHERE guildId=? ORDER BY name='default' DESC, name`).all(guildId);
+  }
+  function upsertFormTemplate(guildId, { name, title, requirements, fields }, updatedBy) {
+    prepare(
+      `
+      INSERT INTO form_templates (guildId, name, title, requirements, fields_json, updatedBy, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(guildId, name) DO UPDATE SET
+        title=excluded.title,
+        requirements=excluded.requirements,
+        fields_json=excluded.fields_json,
+        updatedBy=excluded.updatedBy,
+        updatedAt=excluded.updatedAt
+    `
+    ).run(guildId, name, title, requirements ?? null, JSON.stringify(fields), updatedBy ?? null, Date.now());
+  }
+  function deleteFormTemplate(guildId, name) {
+    return prepare(`DELETE FROM form_templates WHERE guildId=? AND name=?`).run(guildId, name).changes > 0;
+  }
+
+  /* =========================
+     GUILD SETTINGS
+     ========================= */
+  function getGuildSettingsRow(guildId) {
+    return prepare(`SELECT * FROM guild_settings WHERE guildId=?`).get(guildId) || null;
+  }
+  function getAllGuildSettingsRows() {
+    return prepare(`SELECT * FROM guild_settings ORDER BY guildId`).all();
+  }
+  const GUILD_SETTING_COLUMNS = [
+    'recommendChannelId',
+    'pollsChannelId',
+    'pingRoleId',
+    'voteYesEmoji',
+    'voteNoEmoji',
+    'roles_json',
+    'auditChannelId',
+    'digestChannelId',
+    'escalationChannelId',
+    'leadRoles_json',
+    'tracks_json',
+  ];
+  /** Create the row if needed and overwrite only the columns present in `patch`. */
+  const updateGuildSettings = db.transaction((guildId, patch, updatedBy) => {
+    prepare(`INSERT OR IGNORE INTO guild_settings (guildId, updatedAt) VALUES (?, ?)`).run(guildId, Date.now());
+    for (const col of GUILD_SETTING_COLUMNS.filter((c) => patch[c] !== undefined)) {
+      prepare(`UPDATE guild_settings SET ${col}=? WHERE guildId=?`).run(patch[col], guildId);
+    }
+    prepare(`UPDATE guild_settings SET updatedBy=?, updatedAt=? WHERE guildId=?`).run(updatedBy ?? null, Date.now(), guildId);
+    return getGuildSettingsRow(guildId);
+  });
+
+  /* =========================
+     OBSERVATIONS
+     ========================= */
+  /** First save wins; returns false if the slot was already filled. */
+  function saveObservation(messageId, idx, data) {
+    const res = prepare(
+      `
+      INSERT INTO observations (messageId, idx, date, notes, issues, byUserId, createdAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(messageId, idx) DO NOTHING
+    `
+    ).run(messageId, Number(idx), data.date, data.notes, data.issues, data.byUserId, Date.now());
+    return res.changes > 0;
+  }
+  function getObservation(messageId, idx) {
+    return prepare(`SELECT * FROM observations WHERE messageId=? AND idx=?`).get(messageId, Number(idx));
+  }
+  /** Move one observation into history, freeing its slot. */
+  const voidObservation = db.transaction((messageId, idx, { by, reason }) => {
+    const res = prepare(
+      `
+      INSERT INTO observations_history
+        (messageId, idx, date, notes, issues, byUserId, createdAt, supersededBy, supersededReason, supersededAt)
+      SELECT messageId, idx, date, notes, issues, byUserId, createdAt, ?, ?, ?
+      FROM observations WHERE messageId=? AND idx=?
+    `
+    ).run(by, reason, Date.now(), messageId, Number(idx));
+    prepare(`DELETE FROM observations WHERE messageId=? AND idx=?`).run(messageId, Number(idx));
+    return res.changes > 0;
+  });
+
+  function getObservations(messageId) {
+    return prepare(`SELECT * FROM observations WHERE messageId=? ORDER BY idx`).all(messageId);
+  }
+  function getDoneSet(messageId) {
+    const rows = prepare(`SELECT idx FROM observations WHERE messageId=?`).all(messageId);
+    return new Set(rows.map((r) => String(r.idx)));
+  }
+  function countObservations(messageId) {
+    return prepare(`SELECT COUNT(*) AS c FROM observations WHERE messageId=?`).get(messageId)?.c || 0;
+  }
+
+  /* =========================
+     POLLS
+     ========================= */
+  function createPoll(originMessageId, { channelId, messageId, quorum, closesAt }) {
+    prepare(
+      `
+      INSERT INTO polls (originMessageId, channelId, messageId, status, outcome, quorum, openedAt, closesAt, closedAt)
+      VALUES (?, ?, ?, 'open', NULL, ?, ?, ?, NULL)
+    `
+    ).run(originMessageId, channelId, messageId, quorum, Date.now(), closesAt);
+  }
+  function getPoll(originMessageId) {
+    return prepare(`SELECT * FROM polls WHERE originMessageId=?`).get(originMessageId);
+  }
+  /** Point the poll at a reposted copy. */
+  function movePollCopy(originMessageId, channelId, messageId) {
+    prepare(`UPDATE polls SET channelId=?, messageId=? WHERE originMessageId=?`).run(channelId, messageId, originMessageId);
+  }
+  function getDuePolls(now = Date.now()) {
+    return prepare(`SELECT * FROM polls WHERE status='open' AND closesAt<=?`).all(now);
+  }
+  /** First-wins close; returns false if the poll was already closed. */
+  function closePollRecord(originMessageId, outcome) {
+    const res = prepare(
+      `UPDATE polls SET status='closed', outcome=?, closedAt=? WHERE originMessageId=? AND status='open'`
+    ).run(outcome, Date.now(), originMessageId);
+    return res.changes > 0;
+  }
+
+  /** One vote per member; voting again replaces the previous choice. */
+  function castVote(originMessageId, userId, vote) {
+    prepare(
+      `
+      INSERT INTO poll_votes (originMessageId, userId, vote, votedAt)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(originMessageId, userId) DO UPDATE SET vote=excluded.vote, votedAt=excluded.votedAt
+    `
+    ).run(originMessageId, userId, vote, Date.now());
+  }
+  function getVoteTally(originMessageId) {
+    const row = prepare(
+      `SELECT
+         SUM(CASE WHEN vote='yes' THEN 1 ELSE 0 END) AS yes,
+         SUM(CASE WHEN vote='no'  THEN 1 ELSE 0 END) AS no
+       FROM poll_votes WHERE originMessageId=?`
+    ).get(originMessageId);
+    const yes = row?.yes || 0;
+    const no = row?.no || 0;
+    return { yes, no, total: yes + no };
+  }
+
+  /* =========================
+     NOTIFICATION PREFS
+     ========================= */
+  function isDmOptedOut(userId) {
+    return Boolean(prepare(`SELECT dmOptOut FROM notification_prefs WHERE userId=?`).get(userId)?.dmOptOut);
+  }
+  function setDmOptOut(userId, optOut) {
+    prepare(
+      `INSERT INTO notification_prefs (userId, dmOptOut, updatedAt) VALUES (?,?,?)
+       ON CONFLICT(userId) DO UPDATE SET dmOptOut=excluded.dmOptOut, updatedAt=excluded.updatedAt`
+    ).run(userId, optOut ? 1 : 0, Date.now());
+  }
+
+  /* =========================
+     SCHEDULED JOBS
+     ========================= */
+  /** Insert a pending job; with a dedupeKey an existing job is reset to pending at the new time. */
+  function upsertJob({ kind, dedupeKey, originMessageId, payload, runAt }) {
+    prepare(
+      `
+      INSERT INTO scheduled_jobs (kind, dedupeKey, originMessageId, payload_json, runAt, status, attempts, createdAt)
+      VALUES (?, ?, ?, ?, ?, 'pending', 0, ?)
+      ON CONFLICT(dedupeKey) DO UPDATE SET
+        kind=excluded.kind, originMessageId=excluded.originMessageId, payload_json=excluded.payload_json,
+        runAt=excluded.runAt, status='pending', attempts=0, lastError=NULL, finishedAt=NULL
+    `
+    ).run(kind, dedupeKey ?? null, originMessageId ?? null, payload === undefined ? null : JSON.stringify(payload), runAt, Date.now());
+  }
+  function getDueJobs(now = Date.now(), limit = 50) {
+    return prepare(`SELECT * FROM scheduled_jobs WHERE status='pending' AND runAt<=? ORDER BY runAt, id LIMIT ?`).all(now, limit);
+  }
+  function getJobByKey(dedupeKey) {
+    return prepare(`SELECT * FROM scheduled_jobs WHERE dedupeKey=?`).get(dedupeKey);
+  }
+  // Both match on the runAt the job was picked up with: a handler that re-schedules
+  // its own dedupeKey has already moved the row, and that must win.
+  function finishJob(job) {
+    prepare(`UPDATE scheduled_jobs SET status='done', finishedAt=? WHERE id=? AND runAt=?`).run(Date.now(), job.id, job.runAt);
+  }
+  /** Record a failure; retry at `retryAt`, or give up when it is null. */
+  function failJob(job, error, retryAt) {
+    prepare(
+      `UPDATE scheduled_jobs SET attempts=attempts+1, lastError=?, status=?, runAt=COALESCE(?, runAt), finishedAt=?
+       WHERE id=? AND runAt=?`
+    ).run(String(error).slice(0, 1000), retryAt ? 'pending' : 'failed', retryAt ?? null, retryAt ? null : Date.now(), job.id, job.runAt);
+  }
+
+  /* =========================
+     STATS
+     ========================= */
+  /** Recommendations submitted in [from, to) with their BG check and poll, for /recstats. */
+  // stats cover one department guild: recommendations posted there and the activity on them
+  function getStatsRecommendations(guildId, from, to) {
+    return prepare(
+      `SELECT r.id, r.originMessageId, r.guildId, r.recommenderId, r.status, r.track, r.createdAt,
+              b.status AS bgStatus, b.selected_json, b.criteria_json, b.updatedAt AS bgAt,
+              p.outcome AS pollOutcome, p.closedAt AS pollClosedAt
+       FROM recommendations r
+       LEFT JOIN bg_checks b ON b.messageId = r.originMessageId
+       LEFT JOIN polls p ON p.originMessageId = r.originMessageId
+       WHERE r.guildId=? AND r.createdAt>=? AND r.createdAt<?`
+    ).all(guildId, from, to);
+  }
+  /** Observations on those recommendations, oldest first per recommendation. */
+  function getStatsObservations(guildId, from, to) {
+    return prepare(
+      `SELECT o.messageId, o.byUserId, o.createdAt
+       FROM observations o JOIN recommendations r ON r.originMessageId = o.messageId
+       WHERE r.guildId=? AND r.createdAt>=? AND r.createdAt<?
+       ORDER BY o.messageId, o.createdAt`
+    ).all(guildId, from, to);
+  }
+  /** [{ actorId, n }] for audit `actions` on the guild's recommendations in [from, to), busiest first. */
+  function countAuditActors(guildId, actions, from, to, limit = 5) {
+    const marks = actions.map(() => '?').join(',');
+    return prepare(
+      `SELECT a.actorId, COUNT(*) AS n FROM audit_events a JOIN recommendations r ON r.id = a.recommendationId
+       WHERE r.guildId=? AND a.action IN (${marks}) AND a.at>=? AND a.at<? AND a.actorId IS NOT NULL
+       GROUP BY a.actorId ORDER BY n DESC, a.actorId LIMIT ?`
+    ).all(guildId, ...actions, from, to, limit);
+  }
+  function countObservers(guildId, from, to, limit = 5) {
+    return prepare(
+      `SELECT o.byUserId AS actorId, COUNT(*) AS n
+       FROM observations o JOIN recommendations r ON r.originMessageId = o.messageId
+       WHERE r.guildId=? AND o.createdAt>=? AND o.createdAt<? AND o.byUserId IS NOT NULL
+       GROUP BY o.byUserId ORDER BY n DESC, o.byUserId LIMIT ?`
+    ).all(guildId, from, to, limit);
+  }
+
+  /* =========================
+     AUDIT
+     ========================= */
+  function recordAuditEvent({ actorId, action, recommendationId, guildId, before, after, at = Date.now() }) {
+    const res = prepare(
+      `INSERT INTO audit_events (at, actorId, action, recommendationId, guildId, before_json, after_json) VALUES (?,?,?,?,?,?,?)`
+    ).run(
+      at,
+      actorId ?? null,
+      action,
+      recommendationId ?? null,
+      guildId ?? null,
+      before === undefined ? null : JSON.stringify(before),
+      after === undefined ? null : JSON.stringify(after)
+    );
+    return Number(res.lastInsertRowid);
+  }
+  /** One department's events with from <= at < to, oldest first. */
+  function getAuditEvents(guildId, from, to) {
+    return prepare(`SELECT * FROM audit_events WHERE guildId=? AND at>=? AND at<? ORDER BY at, id`).all(guildId, from, to);
+  }
+
+  /* =========================
+     EXPORT / IMPORT
+     ========================= */
+  /** { <table>: [row, ...] } for one department's recommendations, raw columns, insertion order. */
+  function exportTables(guildId) {
+    return Object.fromEntries(
+      EXPORT_TABLES.map((t) => [t, prepare(`SELECT * FROM ${t} WHERE ${EXPORT_SCOPE[t]} ORDER BY rowid`).all(guildId)])
+    );
+  }
+
+  /**
+   * Insert exported rows, skipping any whose key already exists. Columns this
+   * schema doesn't have are dropped, so older and newer exports still load.
+   * Returns { <table>: rows inserted }.
+   */
+  const importTables = db.transaction((tables) => {
+    const counts = {};
+    for (const t of EXPORT_TABLES) {
+      const known = new Set(prepare(`PRAGMA table_info(${t})`).all().map((c) => c.name));
+      counts[t] = 0;
+      for (const row of tables[t] ?? []) {
+        const cols = Object.keys(row).filter((c) => known.has(c));
+        if (!cols.length) continue;
+        const sql = `INSERT OR IGNORE INTO ${t} (${cols.join(', ')}) VALUES (${cols.map((c) => `@${c}`).join(', ')})`;
+        counts[t] += prepare(sql).run(Object.fromEntries(cols.map((c) => [c, row[c]]))).changes;
+      }
+    }
+    return counts;
+  });
+
+  return {
+    createRecommendation,
+    getRecommendation,
+    getRecommendationByMessage,
+    findRecommendationsByLrUsername,
+    findRecommendationsByRecommender,
+    setRecommendationStatus,
+    reviseRecommendation,
+    getRevisions,
+    addSponsor,
+    getSponsors,
+    putProofStash,
+    getProofStash,
+    touchProofStash,
+    takeProofStash,
+    deleteProofStash,
+    deleteExpiredProofStash,
+    addMsgRef,
+    getMsgRefs,
+    getThreadRef,
+    getAllMsgRefs,
+    deleteMsgRef,
+    saveBgSelection,
+    setBgStatus,
+    getBg,
+    reopenBgCheck,
+    getBgCriteriaRows,
+    upsertBgCriterion,
+    deleteBgCriterion,
+    replaceBgCriteria,
+    getFormTemplateRows,
+    upsertFormTemplate,
+    deleteFormTemplate,
+    getGuildSettingsRow,
+    getAllGuildSettingsRows,
+    updateGuildSettings,
+    saveObservation,
+    getObservation,
+    voidObservation,
+    getObservations,
+    getDoneSet,
+    countObservations,
+    createPoll,
+    getPoll,
+    movePollCopy,
+    getDuePolls,
+    closePollRecord,
+    castVote,
+    getVoteTally,
+    isDmOptedOut,
+    setDmOptOut,
+    upsertJob,
+    getDueJobs,
+    getJobByKey,
+    finishJob,
+    failJob,
+    getStatsRecommendations,
+    getStatsObservations,
+    countAuditActors,
+    countObservers,
+    recordAuditEvent,
+    getAuditEvents,
+    exportTables,
+    importTables,
+  };
+}
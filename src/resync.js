@@ -0,0 +1,129 @@
+import { RESTJSONErrorCodes } from 'discord.js';
+import { AUDIT, SYSTEM_ACTOR, audit } from './audit.js';
+import { deleteMsgRef, getAllMsgRefs, getPoll, getRecommendationByMessage } from './db.js';
+import { repostPollCopy } from './polls.js';
+import { syncDiscussionThread } from './threads.js';
+import { renderMessage } from './views.js';
+
+/* =========================
+   MESSAGE RECONCILIATION
+   ========================= */
+// After downtime the posts can drift from the DB: a poll closed while the bot
+// was down, or someone deleted a post. This walks every message_refs row,
+// drops refs to deleted channels/messages, re-renders the rest from DB state,
+// locks or reopens discussion threads, and reposts the copy of any open poll
+// that was lost. Runs on `ready` and via /recadmin resync.
+
+// only these mean "gone for good"; anything else (outage, missing access) is retried next time
+const GONE = new Set([RESTJSONErrorCodes.UnknownChannel, RESTJSONErrorCodes.UnknownMessage]);
+
+/** { message } | { gone: true } | { error } for one tracked message. */
+async function fetchTracked(client, { channelId, messageId }) {
+  try {
+    const ch = await client.channels.fetch(channelId);
+    return { message: await ch.messages.fetch(messageId) };
+  } catch (e) {
+    return GONE.has(e?.code) ? { gone: true } : { error: e };
+  }
+}
+
+let running = false;
+
+/**
+ * Reconcile every tracked message. Returns null if a pass is already running,
+ * else { recommendations, checked, rerendered, pruned, unreachable,
+ * repostedPolls, missingOriginals: [recId], missingPolls: [recId] }.
+ */
+export async function reconcileMessages(client) {
+  if (running) return null;
+  running = true;
+  const summary = {
+    recommendations: 0,
+    checked: 0,
+    rerendered: 0,
+    pruned: 0,
+    unreachable: 0,
+    repostedPolls: 0,
+    missingOriginals: [],
+    missingPolls: [],
+  };
+  try {
+    const byOrigin = new Map();
+    for (const ref of getAllMsgRefs()) {
+      if (!byOrigin.has(ref.originMessageId)) byOrigin.set(ref.originMessageId, []);
+      byOrigin.get(ref.originMessageId).push(ref);
+    }
+    for (const [originMessageId, refs] of byOrigin) {
+      // posts from before the recommendations table are imported when first clicked
+      const rec = getRecommendationByMessage(originMessageId);
+      if (!rec) continue;
+      summary.recommendations++;
+
+      const poll = getPoll(originMessageId);
+      let pollCopyLost = poll?.status === 'open' && !refs.some((r) => r.messageId === poll.messageId);
+      // the discussion thread is checked (and dropped if deleted) by syncDiscussionThread below
+      for (const ref of refs.filter((r) => r.kind !== 'thread')) {
+        summary.checked++;
+        const found = await fetchTracked(client, ref);
+        if (found.gone) {
+          deleteMsgRef(originMessageId, ref.messageId, ref.kind);
+          summary.pruned++;
+          if (ref.messageId === originMessageId) summary.missingOriginals.push(rec.id);
+          if (ref.messageId === poll?.messageId && poll.status === 'open') pollCopyLost = true;
+          continue;
+        }
+        const err = found.error ?? (await found.message.edit(renderMessage(rec, ref.messageId)).then(() => null, (e) => e));
+        if (err) {
+          summary.unreachable++;
+          console.error(`Resync: could not update ${ref.channelId}/${ref.messageId}:`, err?.message ?? err);
+          continue;
+        }
+        summary.rerendered++;
+      }
+
+      await syncDiscussionThread(client, rec);
+
+      if (pollCopyLost) {
+        // votes live in the DB, so a fresh copy carries on where the old one stopped
+        if (await repostPollCopy(client, rec)) summary.repostedPolls++;
+        else summary.missingPolls.push(rec.id);
+      }
+    }
+  } finally {
+    running = false;
+  }
+  return summary;
+}
+
+/** Human-readable lines for the ready log and /recadmin resync. */
+export function formatResyncSummary(s) {
+  const lines = [
+    `🔄 Checked ${s.checked} message(s) across ${s.recommendations} recommendation(s): ${s.rerendered} re-rendered, ${s.pruned} dead ref(s) pruned.`,
+  ];
+  if (s.repostedPolls) lines.push(`🗳️ Reposted ${s.repostedPolls} missing poll copy(ies).`);
+  if (s.missingPolls.length) lines.push(`⚠️ Could not repost the poll for: ${s.missingPolls.map((id) => `\`${id}\``).join(', ')}.`);
+  if (s.missingOriginals.length) {
+    lines.push(`⚠️ Original post deleted for: ${s.missingOriginals.map((id) => `\`${id}\``).join(', ')}.`);
+  }
+  if (s.unreachable) lines.push(`⚠️ ${s.unreachable} message(s) could not be reached right now; they were left alone.`);
+  return lines.join('\n');
+}
+
+/** Run a pass and record it in the audit log; `actorId` is the admin, or the system on startup. */
+export async function resync(client, actorId = SYSTEM_ACTOR) {
+  const summary = await reconcileMessages(client);
+  if (!summary) return null;
+  audit(client, {
+    actorId,
+    action: AUDIT.DATA_RESYNC,
+    after: {
+      checked: summary.checked,
+      rerendered: summary.rerendered,
+      pruned: summary.pruned,
+      unreachable: summary.unreachable,
+      repostedPolls: summary.repostedPolls,
+      missingOriginals: summary.missingOriginals.length,
+    },
+  });
+  return summary;
+}
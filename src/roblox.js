@@ -0,0 +1,110 @@
+import { readFileSync } from 'node:fs';
+
+const {
+  ROBLOX_LOOKUP, // 'http' (default) | 'stub' | 'off'
+  ROBLOX_STUB_FILE, // stub accounts: { "<username>": { "id": 1, "created": "2020-01-01" } }
+  MIN_ACCOUNT_AGE_DAYS, // pre-fills the `age` BG criterion, default 60
+} = process.env;
+
+const DAY_MS = 24 * 60 * 60_000;
+export const MIN_ACCOUNT_AGE = (Number(MIN_ACCOUNT_AGE_DAYS) || 60) * DAY_MS;
+
+/* =========================
+   LOOKUP SERVICES
+   ========================= */
+// A lookup is { findUser(username) } resolving to { id, name, displayName, createdAt }
+// or null when no such account exists; it throws when the service can't answer.
+
+export function createHttpRobloxLookup({ fetchImpl = globalThis.fetch, timeoutMs = 5000 } = {}) {
+  const get = async (url, init) => {
+    const res = await fetchImpl(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+    if (!res.ok) throw new Error(`Roblox API ${res.status} for ${url}`);
+    return res.json();
+  };
+
+  return {
+    async findUser(username) {
+      const hit = await get('https://users.roblox.com/v1/usernames/users', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ usernames: [username], excludeBannedUsers: false }),
+      });
+      const match = hit?.data?.[0];
+      if (!match) return null;
+
+      const user = await get(`https://users.roblox.com/v1/users/${match.id}`);
+      return { id: String(user.id), name: user.name, displayName: user.displayName, createdAt: Date.parse(user.created) };
+    },
+  };
+}
+
+/** Offline lookup for local runs. Without `accounts` every name exists and is a year old. */
+export function createStubRobloxLookup(accounts = null, { now = Date.now } = {}) {
+  const byName = accounts && new Map(Object.entries(accounts).map(([k, v]) => [k.toLowerCase(), { name: k, ...v }]));
+  return {
+    async findUser(username) {
+      if (!byName) {
+        return { id: String(1_000_000 + username.length), name: username, displayName: username, createdAt: now() - 365 * DAY_MS };
+      }
+      const acc = byName.get(username.toLowerCase());
+      if (!acc) return null;
+      return { id: String(acc.id), name: acc.name, displayName: acc.displayName ?? acc.name, createdAt: Date.parse(acc.created) };
+    },
+  };
+}
+
+function lookupFromEnv() {
+  const mode = (ROBLOX_LOOKUP || 'http').toLowerCase();
+  if (mode === 'off') return null;
+  if (mode === 'stub') {
+    return createStubRobloxLookup(ROBLOX_STUB_FILE ? JSON.parse(readFileSync(ROBLOX_STUB_FILE, 'utf8')) : null);
+  }
+  return createHttpRobloxLookup();
+}
+
+let lookup = lookupFromEnv();
+
+/** Swap the lookup (or pass null to turn verification off). */
+export function setRobloxLookup(impl) {
+  lookup = impl;
+}
+
+/* =========================
+   VERIFICATION
+   ========================= */
+/**
+ * Resolve an LR username at submit time.
+ * Returns { ok: true, account } (account is null when lookups are off or the
+ * service is down, so a Roblox outage never blocks a recommendation) or
+ * { ok: false, reason } when the account does not exist.
+ */
+export async function verifyLrUsername(username) {
+  if (!lookup) return { ok: true, account: null };
+  try {
+    const account = await lookup.findUser(username);
+    if (!account) return { ok: false, reason: `No Roblox account named **${username}** exists. Check the spelling.` };
+    return { ok: true, account };
+  } catch (e) {
+    console.error('Roblox lookup failed:', e);
+    return { ok: true, account: null };
+  }
+}
+
+export function accountAgeMs(rec, now = Date.now()) {
+  return rec?.robloxCreatedAt ? now - rec.robloxCreatedAt : null;
+}
+
+/** Embed field for a verified account; null when the recommendation was never verified. */
+export function buildRobloxField(rec, now = Date.now()) {
+  if (!rec.robloxUserId) return null;
+  const age = accountAgeMs(rec, now);
+  const days = age === null ? null : Math.floor(age / DAY_MS);
+  const created = rec.robloxCreatedAt
+    ? `Created <t:${Math.floor(rec.robloxCreatedAt / 1000)}:D> (${days} days)${age < MIN_ACCOUNT_AGE ? ' ⚠️' : ''}`
+    : 'Creation date unknown';
+  return {
+    name: 'Roblox Account',
+    value: `[${rec.lrUsername}](https://www.roblox.com/users/${rec.robloxUserId}/profile) • ID ${rec.robloxUserId}\n${created}`,
+    inline: false,
+  };
+}
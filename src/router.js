@@ -0,0 +1,115 @@
+/* =========================
+   INTERACTION ROUTER
+   ========================= */
+// Routes match on the kind of interaction plus the command name or customId.
+// customId patterns are ':'-separated segments where `<name>` captures one
+// segment, `<name:a|b>` only one of the listed values, and a trailing `<name*>`
+// the rest (':' included), e.g.
+//   'obs:start:<originId>:<idx>'  ->  params { originId, idx }
+// A route is a chain of (ctx, next) functions; the last one is the handler.
+// ctx is { interaction, client, params } and middleware may add to it.
+
+export const KIND = Object.freeze({
+  COMMAND: 'command',
+  AUTOCOMPLETE: 'autocomplete',
+  BUTTON: 'button',
+  SELECT: 'select',
+  MODAL: 'modal',
+});
+
+export function kindOf(interaction) {
+  if (interaction.isChatInputCommand()) return KIND.COMMAND;
+  if (interaction.isAutocomplete()) return KIND.AUTOCOMPLETE;
+  if (interaction.isButton()) return KIND.BUTTON;
+  if (interaction.isAnySelectMenu()) return KIND.SELECT;
+  if (interaction.isModalSubmit()) return KIND.MODAL;
+  return null;
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Compile a customId pattern into { re, names }. */
+export function compilePattern(pattern) {
+  const names = [];
+  // split on ':' outside of <...>, since `<name:a|b>` has one of its own
+  const parts = pattern.split(/:(?![^<]*>)/).map((seg, i, all) => {
+    const m = /^<(\w+)(\*|:[\w|-]+)?>$/.exec(seg);
+    if (!m) return escapeRe(seg);
+    names.push(m[1]);
+    if (m[2] === '*') {
+      if (i !== all.length - 1) throw new Error(`Rest capture must come last in "${pattern}"`);
+      return '(.+)';
+    }
+    return m[2] ? `(${m[2].slice(1)})` : '([^:]+)';
+  });
+  return { re: new RegExp(`^${parts.join(':')}$`), names };
+}
+
+/** Run `fns` in order; each gets (ctx, next) and continues the chain by calling next(). */
+function compose(fns) {
+  return (ctx) => {
+    const run = async (i) => {
+      if (i < fns.length) return fns[i](ctx, () => run(i + 1));
+    };
+    return run(0);
+  };
+}
+
+export function createRouter() {
+  const routes = [];
+  const global = [];
+
+  function add(kinds, match, fns) {
+    if (!fns.length) throw new Error(`Route "${match}" has no handler`);
+    const route = { kinds: new Set(kinds), match, run: compose(fns) };
+    // commands and autocomplete match by name, everything else by customId pattern
+    if (!kinds.includes(KIND.COMMAND) && !kinds.includes(KIND.AUTOCOMPLETE)) route.pattern = compilePattern(match);
+    routes.push(route);
+    return router;
+  }
+
+  function find(kind, interaction) {
+    for (const route of routes) {
+      if (!route.kinds.has(kind)) continue;
+      if (!route.pattern) {
+        if (route.match === '*' || route.match === interaction.commandName) return { route, params: {} };
+        continue;
+      }
+      const m = route.pattern.re.exec(interaction.customId);
+      if (m) return { route, params: Object.fromEntries(route.pattern.names.map((n, i) => [n, m[i + 1]])) };
+    }
+    return null;
+  }
+
+  const router = {
+    /** Middleware run before every matched route, in the order added. */
+    use(fn) {
+      global.push(fn);
+      return router;
+    },
+    command: (name, ...fns) => add([KIND.COMMAND], name, fns),
+    /** `name` '*' answers autocomplete for every command. */
+    autocomplete: (name, ...fns) => add([KIND.AUTOCOMPLETE], name, fns),
+    button: (pattern, ...fns) => add([KIND.BUTTON], pattern, fns),
+    select: (pattern, ...fns) => add([KIND.SELECT], pattern, fns),
+    modal: (pattern, ...fns) => add([KIND.MODAL], pattern, fns),
+    /** Buttons, selects and modals alike (e.g. a wizard that owns a customId prefix). */
+    any: (pattern, ...fns) => add([KIND.BUTTON, KIND.SELECT, KIND.MODAL], pattern, fns),
+
+    /** The route an interaction would take, or null. */
+    match(interaction) {
+      const kind = kindOf(interaction);
+      return kind ? find(kind, interaction) : null;
+    },
+
+    /** Route one interaction. Resolves to false when nothing matched. */
+    async dispatch(interaction) {
+      const hit = router.match(interaction);
+      if (!hit) return false;
+      const ctx = { interaction, client: interaction.client, params: hit.params };
+      await compose([...global, (c) => hit.route.run(c)])(ctx);
+      return true;
+    },
+  };
+  return router;
+}
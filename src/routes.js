@@ -0,0 +1,188 @@
+import { buildAuditExport, parseDay } from './audit.js';
+import { handleBgCancel, handleBgDecision, handleBgMenu, handleBgStart } from './bgcheck.js';
+import { handleBgConfig } from './bgconfig.js';
+import { CMD, OPT, SUB } from './commands.js';
+import { getRecommendation, isDmOptedOut, setDmOptOut } from './db.js';
+import { normalizeLrUsername } from './duplicates.js';
+import { getForms } from './forms.js';
+import { buildRecHistoryPage, buildRecStatusPage } from './lookup.js';
+import {
+  handleEditButton,
+  handleEditSubmit,
+  handleWithdrawButton,
+  handleWithdrawSubmit,
+  withOpenRecommendation,
+} from './manage.js';
+import { allow, catchErrors, deferEphemeral, deferUpdate, withRecommendation } from './middleware.js';
+import { handleObsStart, handleObsSubmit, handleObsView } from './observations.js';
+import { STAGE } from './permissions.js';
+import { handlePollVote } from './polls.js';
+import { buildProofAttachment } from './proofs.js';
+import { handleRecAdmin } from './recadmin.js';
+import { handleRecForm, handleRecFormModal } from './recform.js';
+import { handleRecommend, handleRecommendCancel, handleRecommendContinue, handleRecommendSubmit } from './recommend.js';
+import { createRouter } from './router.js';
+import { deptGuildOf, getTracks } from './settings.js';
+import { handleSetup, handleSetupComponent } from './setup.js';
+import { buildStatsEmbed, computeStats } from './stats.js';
+
+/* =========================
+   HELPERS
+   ========================= */
+const DAY_MS = 24 * 60 * 60_000;
+const BAD_RANGE = '❌ Dates must be `YYYY-MM-DD` and `from` must not be after `to`.';
+
+/** The `from` / `to` day options (UTC day starts, `to` inclusive); last 30 days by default. */
+function readDayRange(interaction) {
+  const today = parseDay(new Date().toISOString().slice(0, 10));
+  const fromRaw = interaction.options.getString(OPT.FROM);
+  const toRaw = interaction.options.getString(OPT.TO);
+  const from = fromRaw ? parseDay(fromRaw) : today - 30 * DAY_MS;
+  const to = toRaw ? parseDay(toRaw) : today;
+  if (from === null || to === null || from > to) return null;
+  return { from, to };
+}
+
+// existing handlers that only need the interaction
+const plain = (handler) => ({ interaction }) => handler(interaction);
+
+/* =========================
+   SMALL COMMANDS
+   ========================= */
+/** Track (/recommend) and form name (/recommend, /recform) autocomplete. */
+function autocompleteOptions({ interaction }) {
+  const focused = interaction.options.getFocused(true);
+  const typed = String(focused.value).toLowerCase();
+  const deptGuildId = deptGuildOf(interaction.guildId);
+  if (focused.name === OPT.TRACK) {
+    const tracks = getTracks(deptGuildId).filter((t) => t.key.includes(typed) || t.label.toLowerCase().includes(typed));
+    return interaction.respond(tracks.slice(0, 25).map((t) => ({ name: t.label, value: t.key })));
+  }
+  const forms = getForms(deptGuildId).filter((f) => f.name.includes(typed));
+  return interaction.respond(forms.slice(0, 25).map((f) => ({ name: `${f.name} — ${f.title}`.slice(0, 100), value: f.name })));
+}
+
+function handleNotifications({ interaction }) {
+  const dms = interaction.options.getBoolean(OPT.DMS);
+  if (dms !== null) setDmOptOut(interaction.user.id, !dms);
+  const on = !isDmOptedOut(interaction.user.id);
+  return interaction.reply({
+    ephemeral: true,
+    content: on ? '🔔 Recruitment DMs are **on** for you.' : '🔕 Recruitment DMs are **off** for you.',
+  });
+}
+
+function handleRecStatus({ interaction, client }) {
+  const lrUsername = normalizeLrUsername(interaction.options.getString(OPT.LR_USERNAME, true));
+  return interaction.reply({ ephemeral: true, ...buildRecStatusPage(client, deptGuildOf(interaction.guildId), lrUsername) });
+}
+
+function handleRecHistory({ interaction, client }) {
+  const user = interaction.options.getUser(OPT.USER, true);
+  return interaction.reply({ ephemeral: true, ...buildRecHistoryPage(client, deptGuildOf(interaction.guildId), user.id) });
+}
+
+// pager buttons: `<cmd>:page:<page>:<key>` (key may itself contain ':')
+function pager(build) {
+  return ({ interaction, client, params }) =>
+    interaction.update(build(client, deptGuildOf(interaction.guildId), params.key, params.page));
+}
+
+async function handleRecProof({ interaction }) {
+  const rec = getRecommendation(interaction.options.getString(OPT.RECOMMENDATION, true).trim().toUpperCase());
+  // only the caller's department
+  if (!rec || rec.guildId !== deptGuildOf(interaction.guildId)) {
+    return interaction.reply({ ephemeral: true, content: '❌ No recommendation with that ID.' });
+  }
+
+  const proof = await buildProofAttachment(rec);
+  if (proof) {
+    return interaction.reply({ ephemeral: true, content: `🖼️ Safechat proof for **${rec.lrUsername}** (\`${rec.id}\`).`, files: [proof] });
+  }
+  // posted before archiving existed: all we have is the original CDN link
+  return interaction.reply({
+    ephemeral: true,
+    content: rec.proofUrl
+      ? `⚠️ No archived copy for \`${rec.id}\`. Original link (may have expired): ${rec.proofUrl}`
+      : `ℹ️ No proof is on file for \`${rec.id}\`.`,
+  });
+}
+
+function handleAudit({ interaction }) {
+  if (interaction.options.getSubcommand() !== SUB.AUDIT_EXPORT) return null;
+  const range = readDayRange(interaction);
+  if (!range) return interaction.reply({ ephemeral: true, content: BAD_RANGE });
+
+  const { count, file } = buildAuditExport({
+    ...range,
+    guildId: deptGuildOf(interaction.guildId),
+    format: interaction.options.getString(OPT.FORMAT) || 'csv',
+  });
+  return interaction.reply({ ephemeral: true, content: `📄 ${count} audit event(s).`, files: [file] });
+}
+
+function handleRecStats({ interaction }) {
+  const range = readDayRange(interaction);
+  if (!range) return interaction.reply({ ephemeral: true, content: BAD_RANGE });
+
+  const stats = computeStats({ guildId: deptGuildOf(interaction.guildId), from: range.from, to: range.to + DAY_MS });
+  return interaction.reply({ ephemeral: true, embeds: [buildStatsEmbed(stats)] });
+}
+
+/* =========================
+   ROUTES
+   ========================= */
+/** Every slash command, button, select and modal the bot answers. */
+export function createAppRouter() {
+  const admin = allow(STAGE.ADMIN);
+
+  return (
+    createRouter()
+      .use(catchErrors)
+      .autocomplete('*', autocompleteOptions)
+
+      /* ------- recommend -> bg -> observations -> poll ------- */
+      .command(CMD.RECOMMEND, allow(STAGE.RECOMMEND), handleRecommend)
+      .button('recommend:continue:<token>', handleRecommendContinue)
+      .button('recommend:cancel:<token>', handleRecommendCancel)
+      .modal('recommend_modal:<token>', allow(STAGE.RECOMMEND), deferEphemeral, handleRecommendSubmit)
+
+      .button('bg:start', withRecommendation, allow(STAGE.BG_CHECK), handleBgStart)
+      .select('bg:menu:<originId>', withRecommendation, allow(STAGE.BG_CHECK), handleBgMenu)
+      .button('bg:cancel:<originId>', handleBgCancel)
+      .button('bg:<decision:pass|decline>:<originId>', withRecommendation, allow(STAGE.BG_CHECK), deferUpdate, handleBgDecision)
+
+      // obs:start checks the observer role itself: a filled slot is shown to anyone
+      .button('obs:start:<originId>:<idx>', withRecommendation, handleObsStart)
+      .button('obs:view:<originId>:<idx>', withRecommendation, handleObsView)
+      .modal('obs:modal:<originId>:<idx>', withRecommendation, allow(STAGE.OBSERVE), deferEphemeral, handleObsSubmit)
+
+      .button('poll:vote:<originId>:<vote:yes|no>', allow(STAGE.VOTE), deferEphemeral, handlePollVote)
+
+      /* ------- edit / withdraw (recommender or admin) ------- */
+      .button('rec:edit:<recId>', withOpenRecommendation, handleEditButton)
+      .modal('rec:editmodal:<recId>', withOpenRecommendation, deferEphemeral, handleEditSubmit)
+      .button('rec:withdraw:<recId>', withOpenRecommendation, handleWithdrawButton)
+      .modal('rec:withdrawmodal:<recId>', withOpenRecommendation, deferEphemeral, handleWithdrawSubmit)
+
+      /* ------- lookups & preferences ------- */
+      .command(CMD.NOTIFICATIONS, handleNotifications)
+      .command(CMD.RECSTATUS, handleRecStatus)
+      .command(CMD.RECHISTORY, handleRecHistory)
+      .button('recstatus:page:<page>:<key*>', pager(buildRecStatusPage))
+      .button('rechistory:page:<page>:<key*>', pager(buildRecHistoryPage))
+      // proofs are reviewed by the background checkers
+      .command(CMD.RECPROOF, allow(STAGE.BG_CHECK), handleRecProof)
+
+      /* ------- admin ------- */
+      .command(CMD.BGCONFIG, admin, plain(handleBgConfig))
+      .command(CMD.RECFORM, admin, plain(handleRecForm))
+      .modal('recform:reqmodal:<name>', admin, plain(handleRecFormModal))
+      .command(CMD.SETUP, admin, plain(handleSetup))
+      // wizard selects, buttons and the emoji modal
+      .any('setup:<step*>', admin, plain(handleSetupComponent))
+      .command(CMD.RECADMIN, admin, plain(handleRecAdmin))
+      .command(CMD.AUDIT, admin, handleAudit)
+      .command(CMD.RECSTATS, admin, handleRecStats)
+  );
+}
@@ -0,0 +1,50 @@
+import { failJob, finishJob, getDueJobs, upsertJob } from './db.js';
+
+/* =========================
+   SCHEDULER
+   ========================= */
+// Jobs live in `scheduled_jobs`, so anything scheduled before a restart still
+// runs afterwards. Handlers re-check DB state when they fire and simply return
+// when the recommendation has moved on, so nothing needs cancelling.
+const TICK_MS = 60_000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5 * 60_000;
+
+const handlers = new Map(); // kind -> async (client, job) => void
+
+export function registerJob(kind, handler) {
+  handlers.set(kind, handler);
+}
+
+/** Schedule `kind` at `runAt`; reusing a dedupeKey moves the existing job instead of adding one. */
+export function schedule(kind, { runAt, originMessageId, payload, dedupeKey }) {
+  upsertJob({ kind, dedupeKey, originMessageId, payload, runAt });
+}
+
+let running = false;
+
+export async function runDueJobs(client, now = Date.now()) {
+  if (running) return; // a slow tick must not overlap the next one
+  running = true;
+  try {
+    for (const row of getDueJobs(now)) {
+      const job = { ...row, payload: row.payload_json ? JSON.parse(row.payload_json) : {} };
+      const handler = handlers.get(job.kind);
+      try {
+        if (!handler) throw new Error(`No handler for job kind '${job.kind}'`);
+        await handler(client, job);
+        finishJob(job);
+      } catch (e) {
+        console.error(`Job ${job.id} (${job.kind}) failed:`, e);
+        failJob(job, e?.message || e, job.attempts + 1 < MAX_ATTEMPTS ? Date.now() + RETRY_DELAY_MS : null);
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+export function startScheduler(client) {
+  runDueJobs(client);
+  return setInterval(() => runDueJobs(client), TICK_MS);
+}
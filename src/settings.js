@@ -0,0 +1,147 @@
+import { readFileSync } from 'node:fs';
+import { PermissionsBitField } from 'discord.js';
+import { getAllGuildSettingsRows, getGuildSettingsRow } from './db.js';
+import { DEFAULT_TRACK, parseTracks } from './tracks.js';
+
+/* =========================
+   PER-GUILD CONFIG
+   ========================= */
+// A guild that ran /setup uses its own row for everything below. Any other
+// guild falls back to the single-department env vars, so /recommend from a
+// community server still reaches DEPT_GUILD_ID as before.
+// The env vars describe the DEPT_GUILD_ID department, so when that guild runs
+// /setup, settings it leaves empty keep their env value; other guilds never
+// inherit them (their audit log or escalations would land in another server).
+const env = process.env;
+const parseIds = (v) => (v || '').split(',').map((s) => s.trim()).filter(Boolean);
+
+// keys match STAGE in permissions.js
+const ENV_ROLES = {
+  recommend: parseIds(env.RECOMMENDER_ROLE_IDS || env.ALLOWED_ROLE_IDS),
+  bg_check: parseIds(env.BG_CHECKER_ROLE_IDS),
+  observe: parseIds(env.OBSERVER_ROLE_IDS),
+  vote: parseIds(env.VOTER_ROLE_IDS || env.POLL_VOTER_ROLE_IDS),
+  admin: parseIds(env.ADMIN_ROLE_IDS),
+};
+
+const ENV_CONFIG = Object.freeze({
+  configured: false,
+  deptGuildId: env.DEPT_GUILD_ID || null,
+  recommendChannelId: env.RECOMMEND_CHANNEL_ID || null,
+  pollsChannelId: env.RECRUITMENT_POLLS_CHANNEL_ID || null,
+  pingRoleId: env.PING_ROLE_ID || null,
+  voteYesEmoji: env.VOTE_YES_EMOJI || null,
+  voteNoEmoji: env.VOTE_NO_EMOJI || null,
+  roles: ENV_ROLES,
+  auditChannelId: env.AUDIT_LOG_CHANNEL_ID || null,
+  digestChannelId: env.WEEKLY_DIGEST_CHANNEL_ID || null,
+  escalationChannelId: env.ESCALATION_CHANNEL_ID || null, // null = the recommendation's own channel
+  leadRoleIds: parseIds(env.RECRUITMENT_LEAD_ROLE_IDS), // pinged on SLA escalation
+  // raw track list (JSON array of tracks, see tracks.js); null = the standard track only
+  tracks: env.TRACKS_FILE ? JSON.parse(readFileSync(env.TRACKS_FILE, 'utf8')) : null,
+});
+
+// what a /setup row leaves empty can still come from env (DEPT_GUILD_ID only)
+const INHERITED = ['auditChannelId', 'digestChannelId', 'escalationChannelId', 'leadRoleIds', 'tracks'];
+
+function parseJson(text, fallback) {
+  try {
+    return text ? JSON.parse(text) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/** What /setup saved for a guild, possibly incomplete; null if it never ran. */
+export function getSavedGuildSettings(guildId) {
+  const row = guildId ? getGuildSettingsRow(guildId) : null;
+  if (!row) return null;
+  return {
+    configured: true,
+    deptGuildId: guildId,
+    recommendChannelId: row.recommendChannelId,
+    pollsChannelId: row.pollsChannelId,
+    pingRoleId: row.pingRoleId,
+    voteYesEmoji: row.voteYesEmoji,
+    voteNoEmoji: row.voteNoEmoji,
+    roles: parseJson(row.roles_json, {}),
+    auditChannelId: row.auditChannelId,
+    digestChannelId: row.digestChannelId,
+    escalationChannelId: row.escalationChannelId,
+    leadRoleIds: parseJson(row.leadRoles_json, null),
+    tracks: parseJson(row.tracks_json, null),
+  };
+}
+
+/**
+ * Resolved settings for a guild. A /setup row only takes over once it has a
+ * recommendations channel, so a half-finished wizard never breaks /recommend.
+ */
+export function getGuildConfig(guildId) {
+  const saved = getSavedGuildSettings(guildId);
+  if (!saved?.recommendChannelId) return ENV_CONFIG;
+  const inherit = guildId === ENV_CONFIG.deptGuildId;
+  const resolved = { ...saved };
+  for (const key of INHERITED) resolved[key] = saved[key] ?? (inherit ? ENV_CONFIG[key] : null);
+  resolved.leadRoleIds ??= [];
+  return resolved;
+}
+
+/** The resolved config of every department: each guild that finished /setup, plus the env one. */
+export function getDepartmentConfigs() {
+  const configs = getAllGuildSettingsRows()
+    .filter((row) => row.recommendChannelId)
+    .map((row) => getGuildConfig(row.guildId));
+  if (ENV_CONFIG.deptGuildId && !configs.some((c) => c.deptGuildId === ENV_CONFIG.deptGuildId)) configs.push(ENV_CONFIG);
+  return configs;
+}
+
+/** Guild whose criteria and forms apply to /recommend run in `guildId`. */
+export function deptGuildOf(guildId) {
+  return getGuildConfig(guildId).deptGuildId || guildId;
+}
+
+/* =========================
+   TRACKS
+   ========================= */
+const STANDARD_ONLY = [DEFAULT_TRACK];
+// parsed lists by their JSON, so a re-render doesn't validate them again
+const parsedTracks = new Map();
+
+// a broken TRACKS_FILE still stops the bot at startup
+if (ENV_CONFIG.tracks) parseTracks(ENV_CONFIG.tracks);
+
+/** Every track of a department guild; the first one is the default for /recommend. */
+export function getTracks(guildId) {
+  const list = getGuildConfig(guildId).tracks;
+  if (!list) return STANDARD_ONLY;
+  const key = JSON.stringify(list);
+  if (!parsedTracks.has(key)) parsedTracks.set(key, parseTracks(list));
+  return parsedTracks.get(key);
+}
+
+/** A track by key. Unknown or missing keys (older recommendations) get the default track. */
+export function getTrack(guildId, key) {
+  const tracks = getTracks(guildId);
+  return tracks.find((t) => t.key === key) ?? tracks[0];
+}
+
+export const trackOf = (rec) => getTrack(rec?.guildId, rec?.track);
+
+/* =========================
+   CHANNEL CHECKS
+   ========================= */
+// what the bot needs wherever it posts a recommendation or poll (proofs are attachments)
+const POST_PERMISSIONS = [
+  ['ViewChannel', PermissionsBitField.Flags.ViewChannel],
+  ['SendMessages', PermissionsBitField.Flags.SendMessages],
+  ['EmbedLinks', PermissionsBitField.Flags.EmbedLinks],
+  ['AttachFiles', PermissionsBitField.Flags.AttachFiles],
+];
+
+/** Names of the permissions the bot lacks in `channel` (empty when it can post there). */
+export async function missingPostPermissions(channel) {
+  const me = channel.guild.members.me ?? (await channel.guild.members.fetchMe());
+  const perms = me.permissionsIn(channel);
+  return POST_PERMISSIONS.filter(([, flag]) => !perms.has(flag)).map(([name]) => name);
+}
@@ -0,0 +1,261 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ChannelSelectMenuBuilder,
+  ChannelType,
+  EmbedBuilder,
+  ModalBuilder,
+  RoleSelectMenuBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} from 'discord.js';
+import { AUDIT, audit } from './audit.js';
+import { getGuildSettingsRow, updateGuildSettings } from './db.js';
+import { STAGE } from './permissions.js';
+import { getSavedGuildSettings, missingPostPermissions } from './settings.js';
+import { ensureWeeklyDigest } from './stats.js';
+
+/* =========================
+   /setup WIZARD
+   ========================= */
+// Four ephemeral pages of select menus. Every pick is validated and saved on the
+// spot, so closing the wizard half-way keeps what was already chosen.
+// customIds: setup:page:<page> | setup:channel:<column> | setup:role:<column> |
+//            setup:roles:<stage> | setup:leads | setup:emojis | setup:emojimodal | setup:done
+// Tracks are uploaded as JSON with /recadmin tracks.
+const PAGES = ['channels', 'logs', 'roles', 'more'];
+
+const CHANNEL_FIELDS = {
+  recommendChannelId: 'Recommendations channel',
+  pollsChannelId: 'Promotion polls channel',
+  auditChannelId: 'Audit log channel',
+  digestChannelId: 'Weekly digest channel',
+  escalationChannelId: 'Escalation channel',
+};
+
+const STAGE_LABEL = {
+  [STAGE.RECOMMEND]: 'Recommender roles',
+  [STAGE.BG_CHECK]: 'Background checker roles',
+  [STAGE.OBSERVE]: 'Observer roles',
+  [STAGE.VOTE]: 'Poll voter roles',
+  [STAGE.ADMIN]: 'Recruitment admin roles',
+};
+
+const CUSTOM_EMOJI_RE = /^<a?:\w{2,32}:\d{17,20}>$/;
+const UNICODE_EMOJI_RE = /^\p{Extended_Pictographic}[\p{Extended_Pictographic}\p{Emoji_Component}‍️]*$/u;
+
+// the wizard shows what is saved, not the env fallback getGuildConfig would return
+const saved = (guildId) => getSavedGuildSettings(guildId) ?? { configured: false, roles: {} };
+
+function buildSummaryEmbed(guildId, notice) {
+  const cfg = saved(guildId);
+  const ch = (id) => (id ? `<#${id}>` : '*not set*');
+  const roleList = (ids) => (ids?.length ? ids.map((id) => `<@&${id}>`).join(' ') : '*anyone*');
+
+  const embed = new EmbedBuilder()
+    .setTitle('Recruitment Setup')
+    .setColor(0x5865f2)
+    .setDescription(
+      cfg.recommendChannelId
+        ? 'Settings for this server. Changes are saved as you pick them.'
+        : 'Until a recommendations channel is picked, this server keeps using the bot defaults.'
+    )
+    .addFields(
+      { name: CHANNEL_FIELDS.recommendChannelId, value: ch(cfg.recommendChannelId), inline: true },
+      { name: CHANNEL_FIELDS.pollsChannelId, value: ch(cfg.pollsChannelId), inline: true },
+      { name: 'Ping role', value: cfg.pingRoleId ? `<@&${cfg.pingRoleId}>` : '*none*', inline: true },
+      {
+        name: 'Vote emojis',
+        value: `${cfg.voteYesEmoji || '✅'} / ${cfg.voteNoEmoji || '❌'}`,
+        inline: true,
+      },
+      ...Object.entries(STAGE_LABEL).map(([stage, name]) => ({ name, value: roleList(cfg.roles[stage]), inline: true })),
+      { name: CHANNEL_FIELDS.auditChannelId, value: ch(cfg.auditChannelId), inline: true },
+      { name: CHANNEL_FIELDS.digestChannelId, value: ch(cfg.digestChannelId), inline: true },
+      {
+        name: CHANNEL_FIELDS.escalationChannelId,
+        value: cfg.escalationChannelId ? ch(cfg.escalationChannelId) : '*the recommendation’s channel*',
+        inline: true,
+      },
+      { name: 'Recruitment lead roles', value: cfg.leadRoleIds?.length ? roleList(cfg.leadRoleIds) : '*none*', inline: true },
+      {
+        name: 'Tracks',
+        value: cfg.tracks ? cfg.tracks.map((t) => t.label || t.key).join(', ').slice(0, 1024) : '*default* (`/recadmin tracks`)',
+        inline: true,
+      }
+    );
+  if (notice) embed.addFields({ name: '​', value: notice, inline: false });
+  return embed;
+}
+
+function navRow(page) {
+  const i = PAGES.indexOf(page);
+  const row = new ActionRowBuilder();
+  if (i > 0) {
+    row.addComponents(new ButtonBuilder().setCustomId(`setup:page:${PAGES[i - 1]}`).setLabel('◀ Back').setStyle(ButtonStyle.Secondary));
+  }
+  if (i < PAGES.length - 1) {
+    row.addComponents(new ButtonBuilder().setCustomId(`setup:page:${PAGES[i + 1]}`).setLabel('Next ▶').setStyle(ButtonStyle.Primary));
+  } else {
+    row.addComponents(
+      new ButtonBuilder().setCustomId('setup:emojis').setLabel('Vote emojis…').setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId('setup:done').setLabel('Finish').setStyle(ButtonStyle.Success)
+    );
+  }
+  return row;
+}
+
+function channelSelect(column, cfg) {
+  const menu = new ChannelSelectMenuBuilder()
+    .setCustomId(`setup:channel:${column}`)
+    .setPlaceholder(CHANNEL_FIELDS[column])
+    .setChannelTypes(ChannelType.GuildText)
+    .setMinValues(0)
+    .setMaxValues(1);
+  if (cfg[column]) menu.setDefaultChannels(cfg[column]);
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+function roleSelect(customId, placeholder, selected, max) {
+  const menu = new RoleSelectMenuBuilder().setCustomId(customId).setPlaceholder(placeholder).setMinValues(0).setMaxValues(max);
+  if (selected.length) menu.setDefaultRoles(...selected);
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+function buildPage(guildId, page, notice) {
+  const cfg = saved(guildId);
+  const stageRow = (stage) => roleSelect(`setup:roles:${stage}`, STAGE_LABEL[stage], cfg.roles[stage] ?? [], 10);
+
+  let rows;
+  if (page === 'channels') {
+    rows = [channelSelect('recommendChannelId', cfg), channelSelect('pollsChannelId', cfg)];
+  } else if (page === 'logs') {
+    rows = [
+      channelSelect('auditChannelId', cfg),
+      channelSelect('digestChannelId', cfg),
+      channelSelect('escalationChannelId', cfg),
+      roleSelect('setup:leads', 'Recruitment lead roles, pinged on escalations', cfg.leadRoleIds ?? [], 10),
+    ];
+  } else if (page === 'roles') {
+    rows = [
+      roleSelect('setup:role:pingRoleId', 'Role pinged on new recommendations and polls', cfg.pingRoleId ? [cfg.pingRoleId] : [], 1),
+      stageRow(STAGE.RECOMMEND),
+      stageRow(STAGE.BG_CHECK),
+      stageRow(STAGE.OBSERVE),
+    ];
+  } else {
+    rows = [stageRow(STAGE.VOTE), stageRow(STAGE.ADMIN)];
+  }
+
+  const step = `Step ${PAGES.indexOf(page) + 1}/${PAGES.length}`;
+  return { content: `⚙️ **${step}**`, embeds: [buildSummaryEmbed(guildId, notice)], components: [...rows, navRow(page)] };
+}
+
+function pageOf(interaction) {
+  // the step number is the only page state we keep; it lives in the message itself
+  const m = /Step (\d)\//.exec(interaction.message?.content || '');
+  return PAGES[(Number(m?.[1]) || 1) - 1];
+}
+
+function save(interaction, patch) {
+  const before = getGuildSettingsRow(interaction.guildId);
+  updateGuildSettings(interaction.guildId, patch, interaction.user.id);
+  audit(interaction.client, {
+    actorId: interaction.user.id,
+    action: AUDIT.SETUP_UPDATE,
+    guildId: interaction.guildId,
+    before: Object.fromEntries(Object.keys(patch).map((k) => [k, before?.[k] ?? null])),
+    after: patch,
+  });
+}
+
+export async function handleSetup(interaction) {
+  return interaction.reply({ ephemeral: true, ...buildPage(interaction.guildId, 'channels') });
+}
+
+/** Buttons, selects and the emoji modal of the wizard (customIds starting with `setup:`). */
+export async function handleSetupComponent(interaction) {
+  const guildId = interaction.guildId;
+  const [, kind, arg] = interaction.customId.split(':');
+
+  if (kind === 'page') return interaction.update(buildPage(guildId, arg));
+
+  if (kind === 'channel') {
+    const channelId = interaction.values[0] ?? null;
+    if (channelId) {
+      const channel = interaction.channels.get(channelId) ?? (await interaction.client.channels.fetch(channelId).catch(() => null));
+      // same check the recommendation modal makes before posting
+      const missing = channel ? await missingPostPermissions(channel) : ['ViewChannel'];
+      if (missing.length) {
+        return interaction.update(
+          buildPage(guildId, pageOf(interaction), `⚠️ Not saved: I am missing ${missing.join(', ')} in <#${channelId}>.`)
+        );
+      }
+    }
+    save(interaction, { [arg]: channelId });
+    if (arg === 'digestChannelId' && channelId) ensureWeeklyDigest();
+    return interaction.update(buildPage(guildId, pageOf(interaction), `✅ ${CHANNEL_FIELDS[arg]} saved.`));
+  }
+
+  if (kind === 'role') {
+    save(interaction, { [arg]: interaction.values[0] ?? null });
+    return interaction.update(buildPage(guildId, pageOf(interaction), '✅ Ping role saved.'));
+  }
+
+  if (kind === 'leads') {
+    save(interaction, { leadRoles_json: JSON.stringify(interaction.values) });
+    return interaction.update(buildPage(guildId, pageOf(interaction), '✅ Recruitment lead roles saved.'));
+  }
+
+  if (kind === 'roles') {
+    const roles = { ...saved(guildId).roles, [arg]: interaction.values };
+    save(interaction, { roles_json: JSON.stringify(roles) });
+    return interaction.update(buildPage(guildId, pageOf(interaction), `✅ ${STAGE_LABEL[arg]} saved.`));
+  }
+
+  if (kind === 'emojis') {
+    const cfg = saved(guildId);
+    const input = (id, label, value) =>
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId(id)
+          .setLabel(label)
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setMaxLength(64)
+          .setPlaceholder('Leave empty for the default')
+          .setValue(value || '')
+      );
+    return interaction.showModal(
+      new ModalBuilder()
+        .setCustomId('setup:emojimodal')
+        .setTitle('Poll Vote Emojis')
+        .addComponents(input('yes', 'Yes emoji', cfg.voteYesEmoji), input('no', 'No emoji', cfg.voteNoEmoji))
+    );
+  }
+
+  if (kind === 'emojimodal') {
+    const yes = interaction.fields.getTextInputValue('yes').trim() || null;
+    const no = interaction.fields.getTextInputValue('no').trim() || null;
+    const bad = [yes, no].filter((e) => e && !CUSTOM_EMOJI_RE.test(e) && !UNICODE_EMOJI_RE.test(e));
+    if (bad.length) {
+      return interaction.update(buildPage(guildId, 'more', `⚠️ Not saved: ${bad.join(', ')} is not an emoji.`));
+    }
+    save(interaction, { voteYesEmoji: yes, voteNoEmoji: no });
+    return interaction.update(buildPage(guildId, 'more', '✅ Vote emojis saved.'));
+  }
+
+  if (kind === 'done') {
+    if (!saved(guildId).recommendChannelId) {
+      return interaction.update(buildPage(guildId, 'channels', '⚠️ Pick a recommendations channel before finishing.'));
+    }
+    return interaction.update({
+      content: '✅ Setup complete. Recommendations and polls for this server now use these settings.',
+      embeds: [buildSummaryEmbed(guildId)],
+      components: [],
+    });
+  }
+
+  return interaction.reply({ ephemeral: true, content: '❌ Unknown setup action.' });
+}
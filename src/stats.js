@@ -0,0 +1,196 @@
+import { EmbedBuilder } from 'discord.js';
+import { AUDIT } from './audit.js';
+import { criteriaForCheck } from './criteria.js';
+import {
+  REC_STATUS,
+  countAuditActors,
+  countObservers,
+  getJobByKey,
+  getStatsObservations,
+  getStatsRecommendations,
+} from './db.js';
+import { registerJob, schedule } from './scheduler.js';
+import { getDepartmentConfigs, trackOf } from './settings.js';
+
+const HOUR_MS = 60 * 60_000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+/* =========================
+   NUMBERS
+   ========================= */
+function median(values) {
+  const v = values.filter((x) => Number.isFinite(x) && x >= 0).sort((a, b) => a - b);
+  if (!v.length) return null;
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+const pct = (n, total) => (total ? `${Math.round((n / total) * 100)}%` : '—');
+
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '—';
+  const days = Math.floor(ms / DAY_MS);
+  const hours = Math.floor((ms % DAY_MS) / HOUR_MS);
+  if (days) return `${days}d ${hours}h`;
+  const minutes = Math.floor((ms % HOUR_MS) / 60_000);
+  return hours ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+/**
+ * Pipeline numbers for the department guild's recommendations submitted in
+ * [from, to); leaderboards count activity on its recommendations in the same window.
+ */
+export function computeStats({ guildId, from, to }) {
+  const recs = getStatsRecommendations(guildId, from, to);
+  const obsByRec = new Map();
+  for (const o of getStatsObservations(guildId, from, to)) {
+    if (!obsByRec.has(o.messageId)) obsByRec.set(o.messageId, []);
+    obsByRec.get(o.messageId).push(o);
+  }
+
+  const bgDone = recs.filter((r) => r.bgStatus === 'PASS' || r.bgStatus === 'FAIL');
+  const criteria = new Map(); // key -> { label, checked, passed }
+  for (const r of bgDone) {
+    const selected = new Set(JSON.parse(r.selected_json || '[]'));
+    for (const c of criteriaForCheck(r)) {
+      const row = criteria.get(c.key) ?? { label: c.label, checked: 0, passed: 0 };
+      row.checked += 1;
+      if (selected.has(c.key)) row.passed += 1;
+      criteria.set(c.key, row);
+    }
+  }
+
+  // nth observation filed, whatever slot it went into, among recommendations whose track asks for n
+  const slotCount = Math.max(0, ...recs.map((r) => trackOf(r).observations));
+  const toObs = Array.from({ length: slotCount }, (_, n) =>
+    median(
+      recs
+        .filter((r) => trackOf(r).observations > n)
+        .map((r) => obsByRec.get(r.originMessageId)?.[n]?.createdAt - r.createdAt)
+    )
+  );
+  const polled = recs.filter((r) => r.pollClosedAt && r.pollOutcome !== 'withdrawn');
+  const countStatus = (st) => recs.filter((r) => r.status === st).length;
+
+  const recommenders = new Map();
+  for (const r of recs) recommenders.set(r.recommenderId, (recommenders.get(r.recommenderId) || 0) + 1);
+
+  return {
+    from,
+    to,
+    submitted: recs.length,
+    withdrawn: countStatus(REC_STATUS.WITHDRAWN),
+    expired: countStatus(REC_STATUS.EXPIRED),
+    bg: {
+      done: bgDone.length,
+      pass: bgDone.filter((r) => r.bgStatus === 'PASS').length,
+      fail: bgDone.filter((r) => r.bgStatus === 'FAIL').length,
+    },
+    criteria: [...criteria.values()],
+    medians: {
+      toBg: median(bgDone.map((r) => r.bgAt - r.createdAt)),
+      toObs,
+      toPollClose: median(polled.map((r) => r.pollClosedAt - r.createdAt)),
+    },
+    polls: {
+      closed: polled.length,
+      accepted: polled.filter((r) => r.pollOutcome === 'accepted').length,
+      rejected: polled.filter((r) => r.pollOutcome === 'rejected').length,
+      noQuorum: polled.filter((r) => r.pollOutcome === 'no_quorum').length,
+    },
+    top: {
+      recommenders: [...recommenders.entries()]
+        .map(([actorId, n]) => ({ actorId, n }))
+        .sort((a, b) => b.n - a.n || a.actorId.localeCompare(b.actorId))
+        .slice(0, 5),
+      bgCheckers: countAuditActors(guildId, [AUDIT.BG_PASS, AUDIT.BG_FAIL], from, to),
+      observers: countObservers(guildId, from, to),
+    },
+  };
+}
+
+/* =========================
+   EMBED
+   ========================= */
+function leaderboard(rows) {
+  return rows.length ? rows.map((r, i) => `${i + 1}. <@${r.actorId}> — ${r.n}`).join('\n') : '—';
+}
+
+export function buildStatsEmbed(stats, { title = '📊 Recruitment Stats' } = {}) {
+  const day = (ms) => new Date(ms).toISOString().slice(0, 10);
+  const { bg, polls, medians } = stats;
+
+  const criteriaLines = stats.criteria.map((c) => `${c.label}: ${c.passed}/${c.checked} (${pct(c.passed, c.checked)})`);
+
+  return new EmbedBuilder()
+    .setTitle(title)
+    .setDescription(`Recommendations submitted ${day(stats.from)} → ${day(stats.to - 1)} (UTC)`)
+    .setColor(0x5865f2)
+    .addFields(
+      {
+        name: 'Pipeline',
+        value:
+          `Submitted: **${stats.submitted}** • Withdrawn: ${stats.withdrawn} • Expired: ${stats.expired}\n` +
+          `BG checks: **${bg.done}** • Pass: ${bg.pass} (${pct(bg.pass, bg.done)}) • Fail: ${bg.fail} (${pct(bg.fail, bg.done)})`,
+        inline: false,
+      },
+      { name: 'BG Pass Rate per Criterion', value: criteriaLines.join('\n').slice(0, 1024) || '—', inline: false },
+      {
+        name: 'Median Time from Submission',
+        value: [
+          `To BG check: ${formatDuration(medians.toBg)}`,
+          ...medians.toObs.map((ms, i) => `To observation ${i + 1}: ${formatDuration(ms)}`),
+          `To poll close: ${formatDuration(medians.toPollClose)}`,
+        ].join('\n'),
+        inline: false,
+      },
+      {
+        name: 'Polls',
+        value:
+          `Closed: **${polls.closed}** • Accepted: ${polls.accepted} (${pct(polls.accepted, polls.closed)}) • ` +
+          `Rejected: ${polls.rejected} • No quorum: ${polls.noQuorum}`,
+        inline: false,
+      },
+      { name: 'Top Recommenders', value: leaderboard(stats.top.recommenders), inline: true },
+      { name: 'Top BG Checkers', value: leaderboard(stats.top.bgCheckers), inline: true },
+      { name: 'Top Observers', value: leaderboard(stats.top.observers), inline: true }
+    )
+    .setTimestamp();
+}
+
+/* =========================
+   WEEKLY DIGEST
+   ========================= */
+const DIGEST_JOB = 'stats.digest';
+
+/** Next Monday 00:00 UTC after `now`. */
+function nextWeekStart(now = Date.now()) {
+  const d = new Date(now);
+  const daysAhead = (8 - d.getUTCDay()) % 7 || 7;
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + daysAhead);
+}
+
+// one job covers every department that picked a digest channel
+const digestTargets = () => getDepartmentConfigs().filter((c) => c.digestChannelId);
+
+/** Called on ready and when /setup picks a digest channel; keeps an already-pending digest (even an overdue one) where it is. */
+export function ensureWeeklyDigest() {
+  if (!digestTargets().length) return;
+  if (getJobByKey(DIGEST_JOB)?.status === 'pending') return;
+  schedule(DIGEST_JOB, { runAt: nextWeekStart(), dedupeKey: DIGEST_JOB });
+}
+
+registerJob(DIGEST_JOB, async (client, job) => {
+  // the week that ended when the job was due, even if the bot was down then
+  const to = job.runAt;
+  const targets = digestTargets();
+  for (const { deptGuildId, digestChannelId } of targets) {
+    const ch = await client.channels.fetch(digestChannelId).catch(() => null);
+    if (!ch) continue;
+    const stats = computeStats({ guildId: deptGuildId, from: to - WEEK_MS, to });
+    const embed = buildStatsEmbed(stats, { title: '📊 Weekly Recruitment Digest' });
+    await ch.send({ embeds: [embed], allowedMentions: { parse: [] } }).catch((e) => console.error('Weekly digest post failed:', e));
+  }
+  if (targets.length) schedule(DIGEST_JOB, { runAt: nextWeekStart(Math.max(to, Date.now())), dedupeKey: DIGEST_JOB });
+});
@@ -0,0 +1,91 @@
+import { ChannelType, RESTJSONErrorCodes, ThreadAutoArchiveDuration } from 'discord.js';
+import { OPEN_STATUSES, addMsgRef, deleteMsgRef, getThreadRef } from './db.js';
+
+const { DISCUSSION_THREADS } = process.env; // 'public' (default) | 'private' | 'off'
+
+/* =========================
+   DISCUSSION THREADS
+   ========================= */
+// Each recommendation gets a thread for recruiter discussion, linked in
+// message_refs as kind 'thread'. BG results and observations are posted into
+// it as they happen; once the recommendation closes it is archived and locked.
+// A public thread hangs off the post itself. A private one is a sibling in the
+// same channel that only members with Manage Threads (or who are added) can see.
+// Thread errors are logged and never block the workflow.
+const MODE = (DISCUSSION_THREADS || 'public').toLowerCase();
+
+const STATUS_LABEL = {
+  accepted: 'accepted',
+  rejected: 'rejected',
+  no_quorum: 'closed without quorum',
+  withdrawn: 'withdrawn',
+  expired: 'expired',
+  bg_fail: 'closed after a failed background check',
+};
+
+const threadName = (rec) => `${rec.lrUsername} • ${rec.id}`.slice(0, 100);
+
+/** Open the discussion thread for a freshly posted recommendation (`post` is its message). */
+export async function openDiscussionThread(rec, post) {
+  if (MODE === 'off' || getThreadRef(rec.originMessageId)) return null;
+  try {
+    const options = { name: threadName(rec), autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek };
+    const thread =
+      MODE === 'private'
+        ? await post.channel.threads.create({ ...options, type: ChannelType.PrivateThread, invitable: false })
+        : await post.startThread(options);
+    addMsgRef(rec.originMessageId, thread.id, thread.id, 'thread');
+    await thread.send({
+      content: `💬 Discussion for **${rec.lrUsername}** (\`${rec.id}\`): ${post.url}\nBackground check results and observations will be posted here.`,
+      allowedMentions: { parse: [] },
+    });
+    return thread;
+  } catch (e) {
+    console.error(`Could not open a discussion thread for ${rec.id}:`, e);
+    return null;
+  }
+}
+
+// the linked thread, or null; a deleted thread's ref is dropped
+async function fetchThread(client, originMessageId) {
+  const ref = getThreadRef(originMessageId);
+  if (!ref) return null;
+  try {
+    return await client.channels.fetch(ref.channelId);
+  } catch (e) {
+    if (e?.code === RESTJSONErrorCodes.UnknownChannel) deleteMsgRef(originMessageId, ref.messageId, 'thread');
+    else console.error(`Could not fetch the discussion thread for ${originMessageId}:`, e);
+    return null;
+  }
+}
+
+/** Post an update (BG result, observation) into the recommendation's thread, if it has one. */
+export async function postToThread(client, originMessageId, payload) {
+  const thread = await fetchThread(client, originMessageId);
+  if (!thread || thread.locked) return;
+  // sending to an auto-archived thread unarchives it
+  await thread.send({ allowedMentions: { parse: [] }, ...payload }).catch((e) => console.error('Thread post failed:', e));
+}
+
+/**
+ * Match the thread to the recommendation's state: archive and lock it once the
+ * recommendation has closed, and reopen it if an admin reverted that (reopen-bg).
+ * Called whenever the posts are re-rendered.
+ */
+export async function syncDiscussionThread(client, rec) {
+  const thread = await fetchThread(client, rec.originMessageId);
+  if (!thread) return;
+  const closed = !OPEN_STATUSES.has(rec.status);
+  try {
+    if (closed && !thread.locked) {
+      if (thread.archived) await thread.setArchived(false);
+      await thread.send({ content: `🔒 Recommendation ${STATUS_LABEL[rec.status] ?? rec.status}. This thread is now locked.` });
+      await thread.edit({ locked: true, archived: true });
+    } else if (!closed && thread.locked) {
+      await thread.edit({ locked: false, archived: false });
+      await thread.send({ content: '🔓 Recommendation reopened. This thread is open again.' });
+    }
+  } catch (e) {
+    console.error(`Could not update the discussion thread for ${rec.id}:`, e);
+  }
+}
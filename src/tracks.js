@@ -0,0 +1,65 @@
+/* =========================
+   RECOMMENDATION TRACKS
+   ========================= */
+// A track is one promotion path:
+//   { key, label, observations, poll, requiredCriteria?, form?, recommendChannelId?, pollsChannelId? }
+// observations: 0-5 slots after the BG check; poll: false accepts as soon as they are in.
+// requiredCriteria: BG criteria keys needed to PASS (others become optional); omit to use /bgconfig.
+// form / channels: defaults for this track, falling back to the guild's form and /setup channels.
+// Each department uploads its list with /recadmin tracks and TRACKS_FILE is the env
+// department's default; getTracks() in settings.js resolves a guild's list.
+// This module has no DB access, so the command registry can import it.
+export const MAX_OBSERVATIONS = 5; // buttons per row
+
+export const DEFAULT_TRACK = Object.freeze({
+  key: 'standard',
+  label: 'Experienced Staff',
+  observations: 3,
+  poll: true,
+  requiredCriteria: null,
+  form: null,
+  recommendChannelId: null,
+  pollsChannelId: null,
+});
+
+const TRACK_KEY_RE = /^[a-z0-9_-]{1,32}$/;
+
+function normalizeTrack(t, where) {
+  if (!TRACK_KEY_RE.test(t?.key || '')) throw new Error(`${where}: key must be 1-32 characters of a-z, 0-9, _ or -`);
+  const observations = t.observations ?? DEFAULT_TRACK.observations;
+  if (!Number.isInteger(observations) || observations < 0 || observations > MAX_OBSERVATIONS) {
+    throw new Error(`${where}: observations must be a whole number from 0 to ${MAX_OBSERVATIONS}`);
+  }
+  if (t.requiredCriteria != null && !Array.isArray(t.requiredCriteria)) {
+    throw new Error(`${where}: requiredCriteria must be a list of criterion keys`);
+  }
+  return {
+    ...DEFAULT_TRACK,
+    ...t,
+    label: String(t.label || t.key).slice(0, 100),
+    observations,
+    poll: t.poll ?? true,
+  };
+}
+
+/** Validate a raw track list; throws with the reason. `source` names it in the message. */
+export function parseTracks(list, source = 'TRACKS_FILE') {
+  if (!Array.isArray(list) || !list.length || list.length > 25) {
+    throw new Error(`${source} must hold a list of 1-25 tracks`);
+  }
+  const tracks = list.map((t, i) => normalizeTrack(t, `${source} entry ${i + 1}`));
+  if (new Set(tracks.map((t) => t.key)).size !== tracks.length) throw new Error(`${source} has duplicate track keys`);
+  return tracks;
+}
+
+/** Observation slot numbers for a track, e.g. ['1', '2', '3']. */
+export function observationSlots(track) {
+  return Array.from({ length: track.observations }, (_, i) => String(i + 1));
+}
+
+/** The guild's criteria with the track's required set applied. */
+export function criteriaForTrack(criteria, track) {
+  if (!track.requiredCriteria) return criteria;
+  const required = new Set(track.requiredCriteria);
+  return criteria.map((c) => ({ ...c, required: required.has(c.key) }));
+}
@@ -0,0 +1,228 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from 'discord.js';
+import { buildChecklistLines, criteriaForCheck } from './criteria.js';
+import {
+  OPEN_STATUSES,
+  REC_STATUS,
+  getBg,
+  getDoneSet,
+  getMsgRefs,
+  getPoll,
+  getRecommendationByMessage,
+  getSponsors,
+  getThreadRef,
+  getVoteTally,
+} from './db.js';
+import { DEFAULT_FORM_NAME, buildAnswerFields } from './forms.js';
+import { proofFileName } from './proofs.js';
+import { buildRobloxField } from './roblox.js';
+import { getGuildConfig, getTracks, trackOf } from './settings.js';
+import { syncDiscussionThread } from './threads.js';
+import { observationSlots } from './tracks.js';
+
+/* =========================
+   EMBEDS
+   ========================= */
+const POLL_OUTCOME_LABEL = {
+  accepted: '✅ Poll Result: ACCEPTED',
+  rejected: '❌ Poll Result: REJECTED',
+  no_quorum: '⚪ Poll Result: NO QUORUM',
+  withdrawn: '↩️ Poll Closed: WITHDRAWN',
+};
+
+function buildPollField(poll) {
+  const { yes, no, total } = getVoteTally(poll.originMessageId);
+  if (poll.status === 'closed') {
+    return {
+      name: POLL_OUTCOME_LABEL[poll.outcome] ?? 'Poll Result',
+      value: `Yes: **${yes}** • No: **${no}** • Quorum: ${poll.quorum}`,
+      inline: false,
+    };
+  }
+  return {
+    name: '🗳️ Promotion Poll',
+    value: `Closes <t:${Math.floor(poll.closesAt / 1000)}:R> • Quorum: ${poll.quorum} • Votes cast: **${total}**`,
+    inline: false,
+  };
+}
+
+// ended before reaching a poll result: greyed out, every button disabled
+const CLOSED_LABEL = {
+  [REC_STATUS.WITHDRAWN]: 'Withdrawn',
+  [REC_STATUS.EXPIRED]: 'Expired',
+};
+
+/** Render the recommendation embed purely from DB state (record + BG check + poll). */
+export function buildRecEmbed(rec, { title = 'Recommendation' } = {}) {
+  const closedLabel = CLOSED_LABEL[rec.status];
+  const embed = new EmbedBuilder()
+    .setTitle(closedLabel ? `${title} — ${closedLabel}` : title)
+    .setColor(closedLabel ? 0x95a5a6 : 0x2ecc71)
+    .addFields(
+      { name: 'Recommender', value: `<@${rec.recommenderId}>`, inline: false },
+      { name: 'LR Username', value: rec.lrUsername, inline: true },
+      ...(rec.candidateUserId ? [{ name: 'Candidate', value: `<@${rec.candidateUserId}>`, inline: true }] : []),
+      ...(getTracks(rec.guildId).length > 1 ? [{ name: 'Track', value: trackOf(rec).label, inline: true }] : []),
+      // forms without a reason question leave it out
+      ...(rec.reason || !rec.answers_json ? [{ name: 'Reason', value: rec.reason || '—', inline: false }] : []),
+      ...buildAnswerFields(rec)
+    )
+    .setFooter({
+      text: `ID ${rec.id}${rec.formName && rec.formName !== DEFAULT_FORM_NAME ? ` • Form: ${rec.formName}` : ''} • Submitted from: ${rec.sourceGuildName ?? 'Unknown'}`,
+    })
+    .setTimestamp(rec.createdAt);
+  // archived proofs ride along as an attachment on every copy of the post
+  const proofName = proofFileName(rec);
+  if (proofName) embed.setImage(`attachment://${proofName}`);
+  else if (rec.proofUrl) embed.setImage(rec.proofUrl);
+
+  const roblox = buildRobloxField(rec);
+  if (roblox) embed.addFields(roblox);
+
+  const thread = rec.originMessageId ? getThreadRef(rec.originMessageId) : null;
+  if (thread) embed.addFields({ name: 'Discussion', value: `<#${thread.channelId}>`, inline: false });
+
+  const sponsors = getSponsors(rec.id);
+  if (sponsors.length) {
+    embed.addFields({ name: 'Co-sponsors', value: sponsors.map((s) => `<@${s.userId}>`).join(', '), inline: false });
+  }
+
+  const bg = rec.originMessageId ? getBg(rec.originMessageId) : {};
+  const st = (bg.status || '').toUpperCase();
+  if (st === 'PASS' || st === 'FAIL') {
+    const lines = buildChecklistLines(JSON.parse(bg.selected_json || '[]'), criteriaForCheck(bg));
+    embed.addFields({
+      name: `${st === 'PASS' ? '✅' : '❌'} Background Check: ${st}`,
+      value: lines.join('\n'),
+      inline: false,
+    });
+  }
+
+  const poll = rec.originMessageId ? getPoll(rec.originMessageId) : null;
+  if (poll) embed.addFields(buildPollField(poll));
+  return embed;
+}
+
+/* =========================
+   COMPONENTS
+   ========================= */
+export function buildBgStartRow() {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`bg:start`).setLabel('Background check').setStyle(ButtonStyle.Secondary)
+  );
+}
+
+export function buildBgDisabledRow() {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('bg:disabled')
+      .setLabel('Background check')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(true)
+  );
+}
+
+export function buildManageRow(recId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`rec:edit:${recId}`).setLabel('Edit').setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`rec:withdraw:${recId}`).setLabel('Withdraw').setStyle(ButtonStyle.Danger)
+  );
+}
+
+function buildClosedRow(status) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`rec:${status}`)
+      .setLabel(`Recommendation ${CLOSED_LABEL[status].toLowerCase()}`)
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(true)
+  );
+}
+
+/** One button per observation slot of the track; null for tracks without observations. */
+export function buildObsRowFromDb(originMessageId, track) {
+  const slots = observationSlots(track);
+  if (!slots.length) return null;
+  const done = getDoneSet(originMessageId);
+
+  const mk = (idx) => {
+    const i = String(idx);
+    if (done.has(i)) {
+      return new ButtonBuilder()
+        .setCustomId(`obs:view:${originMessageId}:${i}`)
+        .setLabel(`View Observation ${i}`)
+        .setStyle(ButtonStyle.Primary);
+    }
+    return new ButtonBuilder()
+      .setCustomId(`obs:start:${originMessageId}:${i}`)
+      .setLabel(`Observation ${i}`)
+      .setStyle(ButtonStyle.Secondary);
+  };
+
+  return new ActionRowBuilder().addComponents(slots.map(mk));
+}
+
+export function buildPollVoteRow(originMessageId, { closed = false, yesEmoji, noEmoji } = {}) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`poll:vote:${originMessageId}:yes`)
+      .setLabel('Yes')
+      .setEmoji(yesEmoji || '✅')
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(closed),
+    new ButtonBuilder()
+      .setCustomId(`poll:vote:${originMessageId}:no`)
+      .setLabel('No')
+      .setEmoji(noEmoji || '❌')
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(closed)
+  );
+}
+
+/** Embeds + components for one tracked copy (original or poll) of a recommendation. */
+export function renderMessage(rec, messageId) {
+  const originMessageId = rec.originMessageId;
+  const poll = getPoll(originMessageId);
+  const isPollCopy = poll?.messageId === messageId;
+  const st = (getBg(originMessageId).status || '').toUpperCase();
+
+  let components;
+  if (CLOSED_LABEL[rec.status]) {
+    components = [buildClosedRow(rec.status)];
+  } else if (st === 'PASS') {
+    components = [buildObsRowFromDb(originMessageId, trackOf(rec))].filter(Boolean);
+    if (isPollCopy) {
+      const { voteYesEmoji, voteNoEmoji } = getGuildConfig(rec.guildId);
+      components.push(
+        buildPollVoteRow(originMessageId, { closed: poll.status === 'closed', yesEmoji: voteYesEmoji, noEmoji: voteNoEmoji })
+      );
+    }
+  } else if (st === 'FAIL') {
+    components = [buildBgDisabledRow()];
+  } else {
+    components = [buildBgStartRow()];
+  }
+  // Edit / Withdraw live on the original post only, while the recommendation is open
+  if (messageId === originMessageId && OPEN_STATUSES.has(rec.status)) components.push(buildManageRow(rec.id));
+
+  return {
+    embeds: [buildRecEmbed(rec, { title: isPollCopy ? 'Promotion Poll' : 'Recommendation' })],
+    components,
+  };
+}
+
+/** Re-render every tracked copy (original + polls) from DB state. */
+export async function editAllMessagesFromDb(client, originMessageId) {
+  const rec = getRecommendationByMessage(originMessageId);
+  if (!rec) return;
+  const refs = getMsgRefs(originMessageId);
+  await Promise.all(
+    refs.map(async ({ channelId, messageId }) => {
+      const ch = await client.channels.fetch(channelId).catch(() => null);
+      if (!ch) return;
+      const m = await ch.messages.fetch(messageId).catch(() => null);
+      if (!m) return;
+      await m.edit(renderMessage(rec, messageId)).catch(() => {});
+    })
+  );
+  await syncDiscussionThread(client, rec);
+}
@@ -0,0 +1,219 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { createFakeDiscord, fakeImageAttachment } from './harness.js';
+
+/* =========================
+   END TO END: recommend -> bg -> observations -> poll
+   ========================= */
+// Drives the real router through the fake Discord harness. The bot's modules read
+// their env when first imported, so they are imported after it is set.
+const PROOFS = mkdtempSync(path.join(tmpdir(), 'recommend-bot-proofs-'));
+Object.assign(process.env, {
+  DB_PATH: ':memory:',
+  PROOF_STORE_DIR: PROOFS,
+  DEPT_GUILD_ID: 'dept',
+  RECOMMEND_CHANNEL_ID: 'recommendations',
+  RECRUITMENT_POLLS_CHANNEL_ID: 'polls',
+  ROBLOX_LOOKUP: 'off',
+  DISCUSSION_THREADS: 'public',
+  OBS_MIN_GAP_DAYS: '0',
+  POLL_QUORUM: '2',
+});
+
+let db;
+let discord;
+
+before(async () => {
+  ({ db } = await import('../src/db.js'));
+  const { createAppRouter } = await import('../src/routes.js');
+  discord = createFakeDiscord({ router: createAppRouter(), guildId: 'dept' });
+  discord.addChannel('recommendations');
+  discord.addChannel('polls');
+  for (const id of ['recommender', 'checker', 'obs1', 'obs2', 'obs3', 'voter1', 'voter2']) discord.addMember(id);
+});
+
+after(() => rmSync(PROOFS, { recursive: true, force: true }));
+
+// every customId on a rendered message
+const customIds = (message) => message.components.flatMap((row) => row.components.map((c) => c.custom_id));
+const last = (interaction) => interaction.responses.at(-1);
+const statusOf = (recId) => db.prepare(`SELECT status FROM recommendations WHERE id=?`).get(recId).status;
+
+/** /recommend straight through the modal; returns the recommendation row. */
+async function recommend(lrUsername) {
+  const cmd = await discord.command('recommender', 'recommend', { safechat_proof: fakeImageAttachment() });
+  const token = customIds(last(cmd)).find((id) => id.startsWith('recommend:continue:')).split(':')[2];
+  await discord.modal('recommender', `recommend_modal:${token}`, { lr_username: lrUsername, reason: 'Steady' });
+  return db.prepare(`SELECT * FROM recommendations WHERE lrUsername=?`).get(lrUsername);
+}
+
+/** Tick every criterion and Pass; returns the post. */
+async function passBg(rec) {
+  const post = discord.channel('recommendations').messages.find((m) => m.id === rec.originMessageId);
+  const start = await discord.button('checker', 'bg:start', { message: post });
+  const menu = last(start).components.flatMap((row) => row.components).find((c) => c.custom_id === `bg:menu:${post.id}`);
+  await discord.select('checker', `bg:menu:${post.id}`, menu.options.map((o) => o.value), { message: last(start) });
+  await discord.button('checker', `bg:pass:${post.id}`);
+  return post;
+}
+
+test('a recommendation goes from the modal to an accepted poll', async () => {
+  /* ------- /recommend -> Continue -> modal ------- */
+  const cmd = await discord.command('recommender', 'recommend', { safechat_proof: fakeImageAttachment() });
+  const token = customIds(last(cmd)).find((id) => id.startsWith('recommend:continue:')).split(':')[2];
+  const cont = await discord.button('recommender', `recommend:continue:${token}`);
+  assert.equal(last(cont).type, 'modal');
+
+  const submit = await discord.modal('recommender', `recommend_modal:${token}`, { lr_username: 'Alice', reason: 'Great trainer' });
+  assert.deepEqual(submit.responses.map((r) => r.type), ['deferReply', 'editReply']);
+  assert.match(last(submit).content, /Recommendation sent/);
+
+  const post = discord.channel('recommendations').messages[0];
+  const rec = () => db.prepare(`SELECT * FROM recommendations WHERE originMessageId=?`).get(post.id);
+  assert.equal(rec().lrUsername, 'Alice');
+  assert.equal(rec().status, 'submitted');
+
+  /* ------- background check: start -> tick everything -> Pass ------- */
+  const start = await discord.button('checker', 'bg:start', { message: post });
+  const menu = last(start).components.flatMap((row) => row.components).find((c) => c.custom_id === `bg:menu:${post.id}`);
+  const ticked = await discord.select('checker', `bg:menu:${post.id}`, menu.options.map((o) => o.value), { message: last(start) });
+  assert.match(last(ticked).content, /You can \*\*Pass\*\*/);
+  const pass = await discord.button('checker', `bg:pass:${post.id}`);
+  assert.deepEqual(pass.responses.map((r) => r.type), ['deferUpdate', 'editReply']);
+  assert.match(last(pass).content, /Background check \*\*PASS\*\* recorded/);
+  assert.equal(rec().status, 'bg_pass');
+
+  /* ------- one observation per slot ------- */
+  const today = new Date().toISOString().slice(0, 10);
+  for (const [i, observer] of ['obs1', 'obs2', 'obs3'].entries()) {
+    const idx = i + 1;
+    assert.ok(customIds(post).includes(`obs:start:${post.id}:${idx}`), `slot ${idx} is offered`);
+    const form = await discord.button(observer, `obs:start:${post.id}:${idx}`);
+    assert.equal(last(form).type, 'modal');
+
+    const filed = await discord.modal(observer, `obs:modal:${post.id}:${idx}`, { date: today, notes: `Notes ${idx}`, issues: '' });
+    assert.deepEqual(filed.responses.map((r) => r.type), ['deferReply', 'editReply']);
+    assert.equal(last(filed).embeds[0].title, `Observation ${idx} Recorded`);
+  }
+  assert.equal(rec().status, 'polling');
+
+  /* ------- poll: two votes reach quorum, a late vote closes it ------- */
+  const copy = discord.channel('polls').messages.at(-1);
+  assert.ok(customIds(copy).includes(`poll:vote:${post.id}:yes`));
+  for (const voter of ['voter1', 'voter2']) {
+    const vote = await discord.button(voter, `poll:vote:${post.id}:yes`);
+    assert.deepEqual(vote.responses.map((r) => r.type), ['deferReply', 'editReply']);
+    assert.match(last(vote).content, /Your vote \(\*\*Yes\*\*\) was recorded/);
+  }
+
+  db.prepare(`UPDATE polls SET closesAt=? WHERE originMessageId=?`).run(Date.now() - 1, post.id);
+  const late = await discord.button('voter1', `poll:vote:${post.id}:no`);
+  assert.equal(last(late).content, '⚠️ This poll has just closed.');
+  assert.equal(rec().status, 'accepted');
+
+  // the discussion thread saw the whole thing and is locked now
+  const thread = discord.channel(db.prepare(`SELECT channelId FROM message_refs WHERE originMessageId=? AND kind='thread'`).get(post.id).channelId);
+  assert.equal(thread.locked, true);
+  assert.equal(thread.messages.filter((m) => m.embeds?.[0]?.title?.startsWith('Observation')).length, 3);
+});
+
+test('the recommender can withdraw an open recommendation', async () => {
+  const rec = await recommend('Bob');
+
+  // only the recommender (or an admin) may withdraw
+  const other = await discord.modal('voter1', `rec:withdrawmodal:${rec.id}`, { reason: '' });
+  assert.deepEqual(other.responses.map((r) => r.type), ['reply']);
+  assert.equal(statusOf(rec.id), 'submitted');
+
+  const withdraw = await discord.modal('recommender', `rec:withdrawmodal:${rec.id}`, { reason: 'Changed my mind' });
+  assert.deepEqual(withdraw.responses.map((r) => r.type), ['deferReply', 'editReply']);
+  assert.equal(last(withdraw).content, `↩️ Recommendation \`${rec.id}\` withdrawn.`);
+  assert.equal(statusOf(rec.id), 'withdrawn');
+});
+
+test('another department cannot reach this one’s recommendations', async () => {
+  const { updateGuildSettings } = await import('../src/db.js');
+  const { createAppRouter } = await import('../src/routes.js');
+  updateGuildSettings('other', { recommendChannelId: 'other-recommendations' }, 'admin');
+  const other = createFakeDiscord({ router: createAppRouter(), guildId: 'other' });
+  other.addChannel('other-recommendations');
+  other.addMember('admin', { admin: true });
+
+  const rec = db.prepare(`SELECT * FROM recommendations WHERE lrUsername='Alice'`).get();
+  const missing = '❌ No recommendation with that ID.';
+
+  const proof = await other.command('admin', 'recproof', { recommendation: rec.id });
+  assert.equal(last(proof).content, missing);
+  const reopen = await other.command('admin', 'recadmin', { subcommand: 'reopen-bg', recommendation: rec.id, reason: 'x' });
+  assert.equal(last(reopen).content, missing);
+
+  const exported = await other.command('admin', 'recadmin', { subcommand: 'export' });
+  assert.match(last(exported).content, /^📦 0 recommendation\(s\) exported/);
+  const auditLog = await other.command('admin', 'audit', { subcommand: 'export' });
+  // just the export above, which happened in this guild
+  assert.equal(last(auditLog).content, '📄 1 audit event(s).');
+
+  const own = await discord.command('recommender', 'recproof', { recommendation: rec.id });
+  assert.match(last(own).content, /Safechat proof for \*\*Alice\*\*/);
+});
+
+test('an admin can void an observation and reopen the background check', async () => {
+  discord.addMember('lead', { admin: true });
+  const rec = await recommend('Carol');
+  const post = await passBg(rec);
+  const today = new Date().toISOString().slice(0, 10);
+  await discord.modal('obs1', `obs:modal:${post.id}:1`, { date: today, notes: 'Fine', issues: '' });
+  assert.equal(statusOf(rec.id), 'observing');
+
+  const voided = await discord.command('lead', 'recadmin', {
+    subcommand: 'void-observation',
+    recommendation: rec.id,
+    slot: 1,
+    reason: 'Wrong person',
+  });
+  assert.deepEqual(voided.responses.map((r) => r.type), ['deferReply', 'editReply']);
+  assert.match(last(voided).content, /Observation 1 .* voided/);
+  assert.equal(statusOf(rec.id), 'bg_pass');
+
+  const reopened = await discord.command('lead', 'recadmin', { subcommand: 'reopen-bg', recommendation: rec.id, reason: 'Recheck' });
+  assert.deepEqual(reopened.responses.map((r) => r.type), ['deferReply', 'editReply']);
+  assert.match(last(reopened).content, /reopened/);
+  assert.equal(statusOf(rec.id), 'submitted');
+});
+
+test('an observation for a slot the track does not have is not saved', async () => {
+  const post = await passBg(await recommend('Erin'));
+  const today = new Date().toISOString().slice(0, 10);
+  const filed = await discord.modal('obs1', `obs:modal:${post.id}:4`, { date: today, notes: 'Extra', issues: '' });
+  assert.equal(last(filed).content, '❌ This recommendation’s track has no such observation slot.');
+  assert.equal(db.prepare(`SELECT COUNT(*) AS c FROM observations WHERE messageId=?`).get(post.id).c, 0);
+});
+
+test('a legacy post imported mid-poll gets a poll the sweeper closes', async () => {
+  const { addMsgRef, saveObservation, setBgStatus } = await import('../src/db.js');
+  const { sweepDuePolls } = await import('../src/polls.js');
+
+  // a post from before the recommendations table: only its refs, BG result and observations are on file
+  const legacy = await discord.channel('recommendations').send({
+    embeds: [{ fields: [{ name: 'Recommender', value: '<@recommender>' }, { name: 'LR Username', value: 'Dave' }] }],
+  });
+  const copy = await discord.channel('polls').send({ content: 'poll' });
+  addMsgRef(legacy.id, 'recommendations', legacy.id);
+  addMsgRef(legacy.id, 'polls', copy.id);
+  setBgStatus(legacy.id, 'PASS');
+  for (const idx of [1, 2, 3]) saveObservation(legacy.id, idx, { date: '2024-01-0' + idx, notes: 'n', issues: '', byUserId: `obs${idx}` });
+
+  await discord.button('voter1', `obs:view:${legacy.id}:1`);
+  const rec = db.prepare(`SELECT * FROM recommendations WHERE originMessageId=?`).get(legacy.id);
+  assert.equal(rec.status, 'polling');
+  const poll = db.prepare(`SELECT * FROM polls WHERE originMessageId=?`).get(legacy.id);
+  assert.equal(poll.messageId, copy.id);
+  assert.ok(poll.closesAt > Date.now());
+
+  db.prepare(`UPDATE polls SET closesAt=? WHERE originMessageId=?`).run(Date.now() - 1, legacy.id);
+  await sweepDuePolls(discord.client);
+  assert.equal(statusOf(rec.id), 'no_quorum');
+});
@@ -0,0 +1,309 @@
+import { ChannelType, Collection, PermissionsBitField, RESTJSONErrorCodes } from 'discord.js';
+
+/* =========================
+   FAKE DISCORD (test harness)
+   ========================= */
+// Just enough of discord.js to drive a flow end to end without a gateway:
+//   const discord = createFakeDiscord({ router: createAppRouter() });
+//   discord.addMember('u1', { roles: ['recommender'] });
+//   const i = await discord.command('u1', 'recommend', { safechat_proof: fakeImageAttachment() });
+//   i.responses  // [{ type: 'reply' | 'update' | 'deferUpdate' | 'editReply' | 'followUp' | 'modal' | ..., ...payload }]
+// Channel posts land in discord.channel(id).messages and DMs in discord.dms(userId);
+// fetching a deleted channel or message fails with Discord's error code.
+// Acknowledging an interaction twice throws, like the real API does.
+
+const ALL_PERMISSIONS = new PermissionsBitField(PermissionsBitField.All);
+
+// a 1x1 transparent PNG, so archiveProof() has real image bytes to sniff
+const PNG_1PX =
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+/** An uploaded proof whose URL is a data: URL, so no CDN is needed. */
+export function fakeImageAttachment(name = 'proof.png') {
+  return { name, url: `data:image/png;base64,${PNG_1PX}`, size: 68, contentType: 'image/png' };
+}
+
+// what discord.js throws for a deleted channel or message
+function unknown(what, code) {
+  return Object.assign(new Error(`Unknown ${what}`), { code });
+}
+
+const toJSON = (x) => (typeof x?.toJSON === 'function' ? x.toJSON() : x);
+
+function normalizePayload(payload) {
+  const p = typeof payload === 'string' ? { content: payload } : { ...(payload ?? {}) };
+  if (p.embeds) p.embeds = p.embeds.map(toJSON);
+  if (p.components) p.components = p.components.map(toJSON);
+  return p;
+}
+
+export function createFakeDiscord({ router, guildId = 'guild-1', guildName = 'Test Guild', botId = 'bot' } = {}) {
+  let seq = 1000;
+  const nextId = () => String(++seq);
+
+  const channels = new Map();
+  const members = new Map();
+  const inboxes = new Map();
+
+  const guild = { id: guildId, name: guildName };
+  const me = { id: botId, permissionsIn: () => ALL_PERMISSIONS };
+  guild.members = {
+    me,
+    fetchMe: async () => me,
+    fetch: async (id) => {
+      const m = members.get(id);
+      if (!m) throw new Error(`Unknown member ${id}`);
+      return m;
+    },
+  };
+
+  const users = {
+    fetch: async (id) => ({
+      id,
+      send: async (payload) => {
+        if (!inboxes.has(id)) inboxes.set(id, []);
+        inboxes.get(id).push(normalizePayload(payload));
+      },
+    }),
+  };
+
+  const client = {
+    user: { id: botId, tag: 'Bot#0000' },
+    channels: {
+      cache: channels,
+      fetch: async (id) => {
+        const ch = channels.get(id);
+        if (!ch) throw unknown('Channel', RESTJSONErrorCodes.UnknownChannel);
+        return ch;
+      },
+    },
+    users,
+  };
+
+  function makeMessage(channel, payload) {
+    const id = nextId();
+    const msg = {
+      id,
+      channel,
+      channelId: channel.id,
+      guildId,
+      url: `https://discord.com/channels/${guildId}/${channel.id}/${id}`,
+      createdTimestamp: Date.now(),
+      ...normalizePayload(payload),
+      // like Discord, a thread started from a message takes the message's ID
+      async startThread(options) {
+        if (channels.has(id)) throw new Error('A thread has already been created for this message');
+        return addThread(channel, { ...options, type: ChannelType.PublicThread }, id);
+      },
+      async edit(next) {
+        Object.assign(msg, normalizePayload(next));
+        return msg;
+      },
+      async delete() {
+        channel.messages.splice(channel.messages.indexOf(msg), 1);
+      },
+    };
+    return msg;
+  }
+
+  function addChannel(id, { type = ChannelType.GuildText } = {}) {
+    const messages = [];
+    const channel = {
+      id,
+      type,
+      guild,
+      guildId,
+      messages: Object.assign(messages, {
+        fetch: async (messageId) => {
+          const m = messages.find((x) => x.id === messageId);
+          if (!m) throw unknown('Message', RESTJSONErrorCodes.UnknownMessage);
+          return m;
+        },
+      }),
+      threads: { create: async (options) => addThread(channel, options) },
+      toString: () => `<#${id}>`,
+      async send(payload) {
+        const msg = makeMessage(channel, payload);
+        messages.push(msg);
+        return msg;
+      },
+    };
+    channels.set(id, channel);
+    return channel;
+  }
+
+  // a thread is a channel of its own that can be archived and locked
+  function addThread(parent, { name, type = ChannelType.PublicThread }, id = nextId()) {
+    const thread = addChannel(id, { type });
+    const apply = (patch) => Object.assign(thread, patch);
+    return Object.assign(thread, {
+      name,
+      parentId: parent.id,
+      archived: false,
+      locked: false,
+      async edit(patch) {
+        return apply(patch);
+      },
+      async setArchived(archived = true) {
+        return apply({ archived });
+      },
+      async send(payload) {
+        if (thread.locked) throw new Error('Thread is locked');
+        thread.archived = false;
+        const msg = makeMessage(thread, payload);
+        thread.messages.push(msg);
+        return msg;
+      },
+    });
+  }
+
+  /** A guild member; `admin` grants Manage Server. */
+  function addMember(id, { roles = [], admin = false } = {}) {
+    const member = {
+      id,
+      guild,
+      user: { id, bot: false, tag: `${id}#0000` },
+      roles: { cache: new Collection(roles.map((r) => [r, { id: r }])) },
+      permissions: new PermissionsBitField(admin ? PermissionsBitField.Flags.ManageGuild : 0n),
+    };
+    members.set(id, member);
+    return member;
+  }
+
+  function makeInteraction(kind, userId, extra) {
+    const responses = [];
+    const member = members.get(userId);
+    const i = {
+      id: nextId(),
+      client,
+      guild,
+      guildId,
+      member,
+      user: member?.user ?? { id: userId, bot: false, tag: `${userId}#0000` },
+      replied: false,
+      deferred: false,
+      responses,
+      isChatInputCommand: () => kind === 'command',
+      isAutocomplete: () => kind === 'autocomplete',
+      isButton: () => kind === 'button',
+      isAnySelectMenu: () => kind === 'select',
+      isStringSelectMenu: () => kind === 'select',
+      isMessageComponent: () => kind === 'button' || kind === 'select',
+      isModalSubmit: () => kind === 'modal',
+      isRepliable: () => kind !== 'autocomplete',
+      ...extra,
+    };
+    const record = (type, payload) => responses.push({ type, ...normalizePayload(payload) });
+    const ack = (type) => {
+      if (i.replied || i.deferred) throw new Error(`Interaction already acknowledged (${type})`);
+    };
+    Object.assign(i, {
+      async reply(p) {
+        ack('reply');
+        i.replied = true;
+        record('reply', p);
+      },
+      async deferReply(p) {
+        ack('deferReply');
+        i.deferred = true;
+        record('deferReply', p);
+      },
+      async deferUpdate() {
+        ack('deferUpdate');
+        i.deferred = true;
+        responses.push({ type: 'deferUpdate' });
+      },
+      async update(p) {
+        ack('update');
+        i.replied = true;
+        record('update', p);
+      },
+      async showModal(modal) {
+        ack('showModal');
+        i.replied = true;
+        responses.push({ type: 'modal', modal: toJSON(modal) });
+      },
+      async editReply(p) {
+        if (!i.replied && !i.deferred) throw new Error('editReply before the interaction was acknowledged');
+        record('editReply', p);
+      },
+      async followUp(p) {
+        if (!i.replied && !i.deferred) throw new Error('followUp before the interaction was acknowledged');
+        record('followUp', p);
+      },
+      async respond(choices) {
+        responses.push({ type: 'autocomplete', choices });
+      },
+    });
+    return i;
+  }
+
+  async function dispatch(interaction) {
+    if (!router) throw new Error('createFakeDiscord needs a router to dispatch');
+    const handled = await router.dispatch(interaction);
+    if (!handled) throw new Error(`No route for ${interaction.commandName ?? interaction.customId}`);
+    return interaction;
+  }
+
+  // slash options from a plain object; `subcommand` picks the subcommand
+  function makeOptions(values = {}) {
+    const get = (name, required) => {
+      const v = values[name];
+      if (v === undefined && required) throw new Error(`Missing required option ${name}`);
+      return v ?? null;
+    };
+    return {
+      get: (name) => (values[name] === undefined ? null : { name, value: values[name] }),
+      getString: get,
+      getBoolean: get,
+      getInteger: get,
+      getNumber: get,
+      getAttachment: get,
+      getChannel: get,
+      getRole: get,
+      getUser: (name, required) => {
+        const id = get(name, required);
+        return id === null ? null : members.get(id)?.user ?? { id, bot: false };
+      },
+      getSubcommand: () => values.subcommand ?? null,
+      // `focused` is the typed text; `focusedOption` names the option it is typed into
+      getFocused: (full) => {
+        const value = values.focused ?? '';
+        return full ? { name: values.focusedOption ?? null, value } : value;
+      },
+    };
+  }
+
+  return {
+    client,
+    guild,
+    addChannel,
+    /** Delete a channel and everything in it, as an admin would in the client. */
+    removeChannel: (id) => channels.delete(id),
+    addMember,
+    channel: (id) => channels.get(id),
+    dms: (userId) => inboxes.get(userId) ?? [],
+
+    command: (userId, commandName, options) =>
+      dispatch(makeInteraction('command', userId, { commandName, options: makeOptions(options) })),
+    autocomplete: (userId, commandName, options) =>
+      dispatch(makeInteraction('autocomplete', userId, { commandName, options: makeOptions(options) })),
+    /** `message` is the message the button sits on (needed for e.g. bg:start). */
+    button: (userId, customId, { message } = {}) => dispatch(makeInteraction('button', userId, { customId, message })),
+    select: (userId, customId, values, { message } = {}) =>
+      dispatch(makeInteraction('select', userId, { customId, values, message })),
+    /** `fields` is { inputCustomId: value }; reading an input the modal never had throws, like discord.js. */
+    modal: (userId, customId, fields = {}) =>
+      dispatch(
+        makeInteraction('modal', userId, {
+          customId,
+          fields: {
+            getTextInputValue: (key) => {
+              if (!(key in fields)) throw new Error(`No text input ${key}`);
+              return fields[key];
+            },
+          },
+        })
+      ),
+  };
+}
@@ -0,0 +1,225 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import Database from 'better-sqlite3';
+import { MIGRATIONS, runMigrations } from '../src/migrations/index.js';
+import { createRepository } from '../src/repository.js';
+
+/* =========================
+   REPOSITORY (in-memory database)
+   ========================= */
+// Each test gets a fresh ':memory:' database brought up by the real migrations.
+
+let db;
+let repo;
+
+beforeEach(() => {
+  db = new Database(':memory:');
+  runMigrations(db);
+  repo = createRepository(db);
+});
+
+const stash = (overrides = {}) => ({
+  fileName: 'proof.png',
+  url: 'https://cdn.example/proof.png',
+  userId: 'u1',
+  createdAt: 1_000,
+  ...overrides,
+});
+
+describe('takeProofStash', () => {
+  test('returns the row once and deletes it', () => {
+    repo.putProofStash('t1', stash(), 10_000);
+    assert.equal(repo.takeProofStash('t1', 2_000)?.fileName, 'proof.png');
+    assert.equal(repo.takeProofStash('t1', 2_000), null);
+    assert.equal(repo.getProofStash('t1', 2_000), null);
+  });
+
+  test('an expired stash comes back null and is still deleted', () => {
+    repo.putProofStash('t1', stash(), 10_000);
+    assert.equal(repo.takeProofStash('t1', 10_000), null);
+    assert.equal(db.prepare(`SELECT COUNT(*) AS c FROM proof_stash`).get().c, 0);
+  });
+
+  test('getProofStash only peeks', () => {
+    repo.putProofStash('t1', stash({ track: 'fast' }), 10_000);
+    assert.equal(repo.getProofStash('t1', 2_000)?.track, 'fast');
+    assert.equal(repo.takeProofStash('t1', 2_000)?.track, 'fast');
+  });
+});
+
+describe('saveObservation', () => {
+  const obs = (byUserId) => ({ date: '2026-01-02', notes: 'ok', issues: '', byUserId });
+
+  test('the first save of a slot wins', () => {
+    assert.equal(repo.saveObservation('m1', 1, obs('first')), true);
+    assert.equal(repo.saveObservation('m1', '1', obs('second')), false);
+    assert.equal(repo.getObservation('m1', 1).byUserId, 'first');
+    assert.equal(repo.countObservations('m1'), 1);
+  });
+
+  test('other slots and recommendations are independent', () => {
+    assert.equal(repo.saveObservation('m1', 1, obs('a')), true);
+    assert.equal(repo.saveObservation('m1', 2, obs('b')), true);
+    assert.equal(repo.saveObservation('m2', 1, obs('c')), true);
+    assert.deepEqual([...repo.getDoneSet('m1')].sort(), ['1', '2']);
+  });
+
+  test('a voided slot can be filed again', () => {
+    repo.saveObservation('m1', 1, obs('a'));
+    assert.equal(repo.voidObservation('m1', 1, { by: 'admin', reason: 'wrong person' }), true);
+    assert.equal(repo.saveObservation('m1', 1, obs('b')), true);
+    assert.equal(repo.getObservation('m1', 1).byUserId, 'b');
+  });
+});
+
+describe('message refs', () => {
+  test('a thread that shares its post’s ID is kept apart from the post', () => {
+    repo.addMsgRef('m1', 'c1', 'm1');
+    repo.addMsgRef('m1', 'm1', 'm1', 'thread');
+    assert.deepEqual(repo.getMsgRefs('m1'), [{ channelId: 'c1', messageId: 'm1' }]);
+    assert.deepEqual(repo.getThreadRef('m1'), { channelId: 'm1', messageId: 'm1' });
+
+    repo.deleteMsgRef('m1', 'm1', 'thread');
+    assert.equal(repo.getThreadRef('m1'), undefined);
+    assert.deepEqual(repo.getMsgRefs('m1'), [{ channelId: 'c1', messageId: 'm1' }]);
+  });
+});
+
+describe('importTables', () => {
+  const rec = (id, overrides = {}) => ({
+    id,
+    originMessageId: `msg-${id}`,
+    channelId: 'c1',
+    guildId: 'g1',
+    recommenderId: 'u1',
+    lrUsername: 'Alice',
+    status: 'submitted',
+    createdAt: 1_000,
+    updatedAt: 1_000,
+    ...overrides,
+  });
+
+  test('skips rows whose key already exists', () => {
+    repo.createRecommendation(rec('AAAA0001', { lrUsername: 'Kept' }));
+    const counts = repo.importTables({
+      recommendations: [rec('AAAA0001', { lrUsername: 'Imported' }), rec('AAAA0002')],
+    });
+    assert.equal(counts.recommendations, 1);
+    assert.equal(repo.getRecommendation('AAAA0001').lrUsername, 'Kept');
+    assert.equal(repo.getRecommendation('AAAA0002').lrUsername, 'Alice');
+  });
+
+  test('drops columns this schema does not have', () => {
+    const counts = repo.importTables({
+      recommendations: [rec('AAAA0003', { fromTheFuture: 'x' })],
+      observations: [{ messageId: 'msg-AAAA0003', idx: 1, username: 'old', byUserId: 'u2', date: '2026-01-02' }],
+    });
+    assert.equal(counts.recommendations, 1);
+    assert.equal(counts.observations, 1);
+    assert.equal('fromTheFuture' in repo.getRecommendation('AAAA0003'), false);
+    assert.equal(repo.getObservation('msg-AAAA0003', 1).byUserId, 'u2');
+  });
+
+  test('exports only the given department', () => {
+    repo.createRecommendation(rec('AAAA0005'));
+    repo.createRecommendation(rec('BBBB0001', { guildId: 'g2' }));
+    repo.saveObservation('msg-BBBB0001', 1, { date: '2026-01-02', notes: 'n', issues: '', byUserId: 'u2' });
+    repo.addSponsor('BBBB0001', 'u3', 'me too');
+
+    const g1 = repo.exportTables('g1');
+    assert.deepEqual(g1.recommendations.map((r) => r.id), ['AAAA0005']);
+    assert.equal(g1.observations.length, 0);
+    assert.equal(g1.recommendation_sponsors.length, 0);
+    assert.equal(repo.exportTables('g2').observations.length, 1);
+  });
+
+  test('round-trips its own export', () => {
+    repo.createRecommendation(rec('AAAA0004'));
+    repo.saveObservation('msg-AAAA0004', 1, { date: '2026-01-02', notes: 'n', issues: '', byUserId: 'u2' });
+    const exported = repo.exportTables('g1');
+
+    const other = new Database(':memory:');
+    runMigrations(other);
+    const counts = createRepository(other).importTables(exported);
+    assert.equal(counts.recommendations, 1);
+    assert.equal(counts.observations, 1);
+    assert.deepEqual(createRepository(other).exportTables('g1'), exported);
+  });
+});
+
+describe('migration 002', () => {
+  test("rewrites 'FAILED' BG checks to 'FAIL' and drops observations.username", () => {
+    const fresh = new Database(':memory:');
+    runMigrations(fresh, { migrations: MIGRATIONS.filter((m) => m.version === 1) });
+    fresh.prepare(`INSERT INTO bg_checks (messageId, status, updatedAt) VALUES ('m1','FAILED',1), ('m2','PASS',1), ('m3','failed',1)`).run();
+    fresh
+      .prepare(
+        `INSERT INTO bg_checks_history (messageId, status, updatedAt, supersededBy, supersededReason, supersededAt)
+         VALUES ('m1','FAILED',1,'admin','reopen',2)`
+      )
+      .run();
+
+    const { from, to } = runMigrations(fresh);
+    assert.equal(from, 1);
+    assert.equal(to, MIGRATIONS.at(-1).version);
+
+    const statuses = fresh.prepare(`SELECT messageId, status FROM bg_checks ORDER BY messageId`).all();
+    assert.deepEqual(statuses.map((r) => r.status), ['FAIL', 'PASS', 'FAIL']);
+    assert.equal(fresh.prepare(`SELECT status FROM bg_checks_history`).get().status, 'FAIL');
+
+    const columns = fresh.prepare(`PRAGMA table_info(observations)`).all().map((c) => c.name);
+    assert.equal(columns.includes('username'), false);
+  });
+});
+
+describe('migration 005', () => {
+  test('rebuilds message_refs with kind in the key and keeps every row', () => {
+    const fresh = new Database(':memory:');
+    runMigrations(fresh, { migrations: MIGRATIONS.filter((m) => m.version <= 4) });
+    fresh.prepare(`INSERT INTO message_refs (originMessageId, channelId, messageId) VALUES ('m1','c1','m1'), ('m1','polls','p1')`).run();
+    fresh.prepare(`INSERT INTO message_refs (originMessageId, channelId, messageId, kind) VALUES ('m2','t2','t2','thread')`).run();
+
+    runMigrations(fresh);
+    const rows = fresh.prepare(`SELECT originMessageId, messageId, kind FROM message_refs ORDER BY rowid`).all();
+    assert.deepEqual(rows.map((r) => `${r.originMessageId}/${r.messageId}/${r.kind}`), ['m1/m1/post', 'm1/p1/post', 'm2/t2/thread']);
+
+    const repo5 = createRepository(fresh);
+    repo5.addMsgRef('m1', 'm1', 'm1', 'thread');
+    assert.deepEqual(repo5.getThreadRef('m1'), { channelId: 'm1', messageId: 'm1' });
+  });
+});
+
+describe('audit events', () => {
+  test('are read back per department', () => {
+    repo.recordAuditEvent({ actorId: 'u1', action: 'config.guild_settings', guildId: 'g1', at: 10 });
+    repo.recordAuditEvent({ actorId: 'u2', action: 'config.guild_settings', guildId: 'g2', at: 20 });
+    assert.deepEqual(repo.getAuditEvents('g1', 0, 100).map((e) => e.actorId), ['u1']);
+  });
+
+  test('migration 006 backfills the guild from the recommendation', () => {
+    const fresh = new Database(':memory:');
+    runMigrations(fresh, { migrations: MIGRATIONS.filter((m) => m.version <= 5) });
+    fresh
+      .prepare(
+        `INSERT INTO recommendations (id, originMessageId, guildId, recommenderId, lrUsername, status, createdAt, updatedAt)
+         VALUES ('AAAA0001','m1','g1','u1','Alice','submitted',1,1)`
+      )
+      .run();
+    fresh.prepare(`INSERT INTO audit_events (at, actorId, action, recommendationId) VALUES (5,'u1','recommendation.submit','AAAA0001')`).run();
+    fresh.prepare(`INSERT INTO audit_events (at, actorId, action) VALUES (6,'u1','config.guild_settings')`).run();
+
+    runMigrations(fresh);
+    const rows = fresh.prepare(`SELECT action, guildId FROM audit_events ORDER BY id`).all();
+    assert.deepEqual(rows.map((r) => r.guildId), ['g1', null]);
+  });
+});
+
+describe('runMigrations', () => {
+  test('a dry run leaves the schema untouched', () => {
+    const fresh = new Database(':memory:');
+    const result = runMigrations(fresh, { dryRun: true });
+    assert.equal(result.dryRun, true);
+    assert.equal(result.applied.length, MIGRATIONS.length);
+    assert.equal(fresh.prepare(`SELECT COUNT(*) AS c FROM sqlite_master WHERE name='recommendations'`).get().c, 0);
+  });
+});